@@ -0,0 +1,151 @@
+const DEFAULT_FRAME_DURATION = 100; // ms
+
+/* Spritesheets are described by a JSON file next to the image, e.g. characters/duck.json:
+{
+    "image": "duck.png", // Relative to the JSON file
+    "frameWidth": 10,
+    "frameHeight": 10,
+    "frames": { "left": { "x": 0, "y": 0 }, ... }, // Optional "w"/"h" override the frame size
+    "animations": {
+        "walk_left": { "frames": ["left_step1", "left"], "frameDuration": 110 },
+        "idle_left": { "frames": [{ "frame": "left", "duration": 2400 }, { "frame": "left_blink", "duration": 150 }] }
+    }
+}
+   Animations loop unless they set "loop": false, in which case they hold their last frame. */
+
+/**
+ * Normalises an animation's frame list into { frame, duration } entries.
+ */
+function parseAnimation(name, animation, frames) {
+    const parsed = animation.frames.map(entry => {
+        const frameName = typeof entry === 'string' ? entry : entry.frame;
+        if (!frames[frameName]) throw new Error(`Animation "${name}" uses unknown frame "${frameName}".`);
+        return {
+            frame: frames[frameName],
+            duration: (typeof entry === 'object' && entry.duration) || animation.frameDuration || DEFAULT_FRAME_DURATION
+        };
+    });
+
+    return {
+        frames: parsed,
+        totalDuration: parsed.reduce((total, frame) => total + frame.duration, 0),
+        loop: animation.loop !== false
+    };
+}
+
+/**
+ * Loads a spritesheet and its frame description from the characters folder, once, however many owners want it.
+ * @param {string} name The file name without extension, e.g. 'duck'.
+ * @param {string} [owner='game'] Who wants it, e.g. a map name, see loadAsset.
+ * @returns {Promise<object>} The spritesheet: { image, frameWidth, frameHeight, frames, animations }.
+ */
+function loadSpritesheet(name, owner = 'game') {
+    return loadAsset(`characters/${name}.json`, parseSpritesheet, owner);
+}
+
+async function parseSpritesheet(jsonPath) {
+    const description = await fetchAsset(jsonPath);
+    const image = await loadImage(`characters/${description.image}`, jsonPath);
+    const frames = {};
+    for (const [frameName, frame] of Object.entries(description.frames)) {
+        frames[frameName] = {
+            x: frame.x,
+            y: frame.y,
+            width: frame.w ?? description.frameWidth,
+            height: frame.h ?? description.frameHeight
+        };
+    }
+
+    const animations = {};
+    for (const [animationName, animation] of Object.entries(description.animations)) {
+        animations[animationName] = parseAnimation(animationName, animation, frames);
+    }
+
+    return {
+        image,
+        frameWidth: description.frameWidth,
+        frameHeight: description.frameHeight,
+        frames,
+        animations
+    };
+}
+
+/**
+ * Creates the playback state for one animated sprite.
+ * @param {object} sheet A spritesheet from loadSpritesheet.
+ * @param {string} animationName The animation to start with.
+ * @returns {{sheet: object, name: string, animation: object, time: number}}
+ */
+function createAnimator(sheet, animationName) {
+    const animator = { sheet, name: null, animation: null, time: 0 };
+    setAnimation(animator, animationName);
+    return animator;
+}
+
+/**
+ * Switches an animator to another animation, restarting it. Does nothing if it's already playing.
+ * @param {object} animator
+ * @param {string} animationName
+ */
+function setAnimation(animator, animationName) {
+    if (animator.name === animationName) return;
+
+    const animation = animator.sheet.animations[animationName];
+    if (!animation) {
+        console.warn(`Animation "${animationName}" not found.`);
+        return;
+    }
+    animator.name = animationName;
+    animator.animation = animation;
+    animator.time = 0;
+}
+
+/**
+ * Advances an animator.
+ * @param {object} animator
+ * @param {number} dtMs Elapsed time in milliseconds.
+ */
+function updateAnimator(animator, dtMs) {
+    animator.time += dtMs;
+}
+
+/**
+ * Finds which frame of a timeline is showing at a point in time.
+ * @param {Array<{duration: number}>} frames
+ * @param {number} totalDuration The sum of the frames' durations.
+ * @param {number} time Time since the timeline started, in ms.
+ * @param {boolean} [loop=true]
+ * @returns {object} The frame entry.
+ */
+function getTimelineFrame(frames, totalDuration, time, loop = true) {
+    if (!loop && time >= totalDuration) return frames[frames.length - 1];
+
+    let remaining = time % totalDuration;
+    for (const frame of frames) {
+        if (remaining < frame.duration) return frame;
+        remaining -= frame.duration;
+    }
+    return frames[frames.length - 1];
+}
+
+/**
+ * Gets the spritesheet rectangle the animator is currently showing.
+ * @param {object} animator
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getAnimatorFrame(animator) {
+    const { frames, totalDuration, loop } = animator.animation;
+    return getTimelineFrame(frames, totalDuration, animator.time, loop).frame;
+}
+
+/**
+ * Draws the animator's current frame with its top-left corner at (x, y).
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} animator
+ * @param {number} x
+ * @param {number} y
+ */
+function drawAnimator(context, animator, x, y) {
+    const frame = getAnimatorFrame(animator);
+    context.drawImage(animator.sheet.image, frame.x, frame.y, frame.width, frame.height, x, y, frame.width, frame.height);
+}
@@ -0,0 +1,196 @@
+const ASSET_RETRIES = 2; // Extra tries at a download that fails, before giving up on it
+const ASSET_RETRY_DELAY = 250; // ms to wait before the first retry, doubling for each one after
+const PLACEHOLDER_SIZE = 256; // px. Big enough to cover any tile cut from a missing image
+const PLACEHOLDER_CHECK_SIZE = 4; // px
+
+/* Every file the game downloads goes through here, so there's one place that retries, reports progress and
+   keeps track of what's loaded.
+
+   Assets are cached by path and reference counted by owner: loading one names who wants it, e.g. a map, and
+   releaseAssets(owner) lets go of everything that owner loaded. An asset no one owns any more is dropped from
+   the cache, along with anything it owned in turn (a tileset owns its images), so the browser can free it.
+   Assets the whole game needs are owned by 'game' and never released.
+
+   A missing image isn't fatal: it's swapped for a magenta checkerboard so the map still loads and the gap
+   shows where to look. Any other download rejects once it's out of retries, and is left out of the cache so
+   it can be tried again. */
+
+const assetCache = {
+    entries: {}, // { promise, owners: Set of owner names } keyed by path
+    progress: { loaded: 0, total: 0, failed: [] }, // Downloads since resetAssetProgress, failed holds their paths
+    listeners: new Set(), // Called with the progress whenever it changes, see onAssetProgress
+    placeholder: null // The stand-in for missing images, made when it's first needed
+};
+
+/**
+ * Listens for downloads starting and finishing, e.g. to draw a loading bar.
+ * @param {Function} listener (progress) => void, given { loaded, total, failed }.
+ * @returns {Function} Call to stop listening.
+ */
+function onAssetProgress(listener) {
+    assetCache.listeners.add(listener);
+    return () => assetCache.listeners.delete(listener);
+}
+
+/**
+ * Starts counting progress from zero, e.g. at the start of a loading screen.
+ */
+function resetAssetProgress() {
+    assetCache.progress = { loaded: 0, total: 0, failed: [] };
+    notifyAssetProgress();
+}
+
+function notifyAssetProgress() {
+    assetCache.listeners.forEach(listener => listener(assetCache.progress));
+}
+
+/**
+ * Counts a download towards the progress until it settles.
+ * @param {string} path
+ * @param {Promise} promise
+ * @returns {Promise} The same promise.
+ */
+function trackAssetProgress(path, promise) {
+    const progress = assetCache.progress;
+    progress.total++;
+    notifyAssetProgress();
+
+    promise.catch(() => progress.failed.push(path)).finally(() => {
+        progress.loaded++;
+        if (progress === assetCache.progress) notifyAssetProgress(); // Unless the count has been reset since
+    });
+    return promise;
+}
+
+/**
+ * Tries a download a few times before giving up, waiting longer between each try.
+ * @param {string} path For the error message.
+ * @param {Function} attempt () => Promise, called for each try.
+ * @returns {Promise} Resolves with the first try that works. Errors marked `permanent` aren't retried.
+ */
+async function retryAsset(path, attempt) {
+    for (let tries = 0; ; tries++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            if (error.permanent || tries >= ASSET_RETRIES) throw new Error(`Failed to load ${path}: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, ASSET_RETRY_DELAY * 2 ** tries));
+        }
+    }
+}
+
+/**
+ * Downloads a file, retrying if it fails, without counting it towards the progress. Use fetchAsset unless
+ * the download is one of several tries at the same asset, which should be counted once, see loadTrack.
+ * @param {string} path
+ * @param {'json'|'text'|'arrayBuffer'} [as='json'] How to read the response.
+ * @returns {Promise<any>} Rejects once it's out of retries, or at once if the file isn't there.
+ */
+function downloadAsset(path, as = 'json') {
+    return retryAsset(path, async () => {
+        const response = await fetch(path);
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.permanent = response.status >= 400 && response.status < 500; // Asking again won't help
+            throw error;
+        }
+        return response[as]();
+    });
+}
+
+/**
+ * Downloads a file, retrying if it fails. It isn't cached: use loadAsset for that.
+ * @param {string} path
+ * @param {'json'|'text'|'arrayBuffer'} [as='json'] How to read the response.
+ * @returns {Promise<any>} Rejects once it's out of retries, or at once if the file isn't there.
+ */
+function fetchAsset(path, as = 'json') {
+    return trackAssetProgress(path, downloadAsset(path, as));
+}
+
+/**
+ * Loads an asset once, however many owners want it. Each owner shares the same promise.
+ * @param {string} path The cache key, usually the file's path.
+ * @param {Function} load (path) => Promise of the asset, called if it isn't cached.
+ * @param {string} [owner='game'] Who wants it, e.g. a map name, see releaseAssets.
+ * @returns {Promise<any>}
+ */
+function loadAsset(path, load, owner = 'game') {
+    let entry = assetCache.entries[path];
+    if (!entry) {
+        entry = { promise: load(path), owners: new Set() };
+        assetCache.entries[path] = entry;
+        entry.promise.catch(() => {
+            if (assetCache.entries[path] !== entry) return;
+            delete assetCache.entries[path]; // Let it be tried again
+            releaseAssets(path);
+        });
+    }
+    entry.owners.add(owner);
+    return entry.promise;
+}
+
+/**
+ * Lets go of everything an owner loaded. Assets with no owners left are dropped from the cache, and let go of
+ * whatever they loaded themselves.
+ * @param {string} owner
+ */
+function releaseAssets(owner) {
+    for (const [path, entry] of Object.entries(assetCache.entries)) {
+        if (!entry.owners.delete(owner) || entry.owners.size) continue;
+        delete assetCache.entries[path];
+        releaseAssets(path);
+    }
+}
+
+/**
+ * Loads an image, retrying if it fails. An image that can't be loaded is swapped for a placeholder, see
+ * getPlaceholderImage, and counted as failed in the progress.
+ * @param {string} src The path to the image.
+ * @param {string} [owner='game'] See loadAsset.
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} Never rejects.
+ */
+function loadImage(src, owner = 'game') {
+    return loadAsset(src, () => {
+        const loaded = retryAsset(src, () => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Image failed to load'));
+            img.src = src;
+        }));
+        return trackAssetProgress(src, loaded).catch(error => {
+            console.error(`${error.message}, drawing a placeholder instead.`);
+            return getPlaceholderImage();
+        });
+    }, owner);
+}
+
+/**
+ * Gets the image drawn in place of one that couldn't be loaded: a magenta and black checkerboard.
+ * @returns {HTMLCanvasElement}
+ */
+function getPlaceholderImage() {
+    if (!assetCache.placeholder) {
+        const placeholder = document.createElement('canvas');
+        placeholder.width = placeholder.height = PLACEHOLDER_SIZE;
+        const placeholderCtx = placeholder.getContext('2d');
+        placeholderCtx.fillStyle = '#ff00ff';
+        placeholderCtx.fillRect(0, 0, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+        placeholderCtx.fillStyle = '#000000';
+        for (let y = 0; y < PLACEHOLDER_SIZE; y += PLACEHOLDER_CHECK_SIZE) {
+            for (let x = (y / PLACEHOLDER_CHECK_SIZE) % 2 * PLACEHOLDER_CHECK_SIZE; x < PLACEHOLDER_SIZE; x += PLACEHOLDER_CHECK_SIZE * 2) {
+                placeholderCtx.fillRect(x, y, PLACEHOLDER_CHECK_SIZE, PLACEHOLDER_CHECK_SIZE);
+            }
+        }
+        assetCache.placeholder = placeholder;
+    }
+    return assetCache.placeholder;
+}
+
+/**
+ * Checks whether an image is the placeholder for one that couldn't be loaded, e.g. so a missing collision mask
+ * isn't read as a checkerboard of walls.
+ * @param {HTMLImageElement|HTMLCanvasElement} img
+ * @returns {boolean}
+ */
+const isPlaceholderImage = (img) => img === assetCache.placeholder;
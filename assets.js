@@ -1,46 +1,64 @@
-const music = {
-    'house1': 'https://cdn.pixabay.com/download/audio/2021/11/23/audio_64b2dd1bce.mp3?filename=just-relax-11157.mp3',
-    'outdoors1': 'https://cdn.pixabay.com/download/audio/2024/06/20/audio_c4397b8dad.mp3?filename=peaceful-piano-background-music-218762.mp3'
-};
-
 const sfx = {
     door: 'sfx/216006__palkonimo__door_open.wav',
-    quack: 'sfx/754978__mastersoundboy2005__generic-duck-quack-sound-effect.wav_trimmed.wav'
+    quack: 'sfx/754978__mastersoundboy2005__generic-duck-quack-sound-effect.wav_trimmed.wav',
+    pickup: 'sfx/pickup.wav'
 };
 
 /**
- * Loads all audio files defined in the music and sfx objects.
+ * Fetches and decodes a sound file.
+ * @param {string} src Path or URL.
+ * @param {Function} [download=fetchAsset] How to download it, see downloadAsset.
+ * @returns {Promise<AudioBuffer>} Rejects if it can't be fetched or decoded.
+ */
+async function fetchAudio(src, download = fetchAsset) {
+    return audioEngine.audioContext.decodeAudioData(await download(src, 'arrayBuffer'));
+}
+
+/**
+ * Loads all the sound effects defined in the sfx object. Music is loaded with the maps that use it, see loadTrack
+ * in musicPlayer.js.
+ * A sound that fails to load is set to null, which audioEngine.playSound ignores, so the game carries on without it.
  * @param {AudioEngine} audioEngineInstance The instance of the audio engine.
- * @returns {Promise<void>} A promise that resolves when all sounds are loaded.
+ * @returns {Promise<string[]>} The keys of any sounds that couldn't be loaded.
  */
 async function loadSounds(audioEngineInstance) {
     audioEngineInstance._initContext(); // Ensure context is ready for decoding
-    const context = audioEngineInstance.audioContext;
-
-    const soundObjects = [music, sfx];
-    const promises = [];
-
-    console.log("Starting audio asset loading...");
-
-    for (const soundObject of soundObjects) {
-        for (const key in soundObject) {
-            if (Object.hasOwnProperty.call(soundObject, key)) {
-                const path = soundObject[key];
-                const promise = fetch(path)
-                    .then(response => response.arrayBuffer())
-                    .then(arrayBuffer => context.decodeAudioData(arrayBuffer))
-                    .then(audioBuffer => {
-                        soundObject[key] = audioBuffer; // Replace path with loaded buffer
-                        console.log(`Loaded: ${key}`);
-                    })
-                    .catch(error => console.error(`Failed to load ${key} from ${path}:`, error));
-                promises.push(promise);
-            }
+
+    const failed = [];
+    await Promise.all(Object.entries(sfx).map(async ([key, path]) => {
+        if (typeof path !== 'string') return; // Already loaded
+        try {
+            sfx[key] = await loadAsset(path, fetchAudio); // Replace path with loaded buffer
+        } catch (error) {
+            console.error(`Failed to load ${key} from ${path}:`, error);
+            sfx[key] = null;
+            failed.push(key);
         }
-    }
+    }));
 
-    await Promise.all(promises);
-    console.log("✅ All audio assets loaded successfully!");
+    if (failed.length) console.warn(`Playing without ${failed.length} sound${failed.length === 1 ? '' : 's'}: ${failed.join(', ')}`);
+    return failed;
+}
+
+/**
+ * Loads data/music.json into game.music: the music tracks maps can name, keyed by id.
+ * Each is { src, fallback?, loopStart?, loopEnd? }: src is the bundled file, fallback a URL to stream it from
+ * if that can't be loaded, and the loop points (in seconds) let a track play an intro once before looping the rest.
+ */
+async function loadMusicCatalogue() {
+    game.music = await fetchAsset('data/music.json');
+}
+
+/**
+ * Loads one source of a music track, once, however many maps use it. It isn't counted towards the progress on
+ * its own: loadTrack in musicPlayer.js counts each track once, whichever source it comes from.
+ * @param {string} src The bundled file or the fallback URL, see loadMusicCatalogue.
+ * @param {string} [owner='game'] Who wants it, e.g. a map name, see loadAsset.
+ * @returns {Promise<AudioBuffer>} Rejects if it can't be loaded, and is left out of the cache so it can be tried again.
+ */
+function loadMusicSource(src, owner = 'game') {
+    audioEngine._initContext();
+    return loadAsset(src, () => fetchAudio(src, downloadAsset), owner);
 }
 
 let audioEngine;
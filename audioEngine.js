@@ -1,18 +1,30 @@
-function timeout(func, ms) {
-    return new Promise(resolve => setTimeout(() => {
-        func();
-        resolve();
-    }, ms));
-}
+const AUDIO_BUSES = ['master', 'music', 'sfx', 'ambience'];
+const MIXER_STORAGE_KEY = 'mrQuackers.mixer';
+const DUCK_VOLUME = 0.4; // Music volume while ducked, as a fraction of its normal volume
+const DUCK_ATTACK_TIME = 0.05; // Seconds to duck the music
+const DUCK_RELEASE_TIME = 0.4; // Seconds to bring it back
+
+/* Everything plays through a bus: music, sfx and ambience each have their own, and all three go through master.
+   Music goes through two more stages on the way to its bus: a pair of gains the tracks take turns on, so the old
+   track can fade out on one while the new one fades in on the other, then duckGainNode, which turns it down while
+   anything in duckReasons (a sound effect, dialogue...) is going on.
+   Bus volumes and mutes are the player's settings, kept in localStorage.
+
+   A music track is { buffer, loopStart, loopEnd } (see loadTrack): when it loops, it plays from the start once
+   and then repeats between loopStart and loopEnd (in seconds, loopEnd 0 meaning the end), so a track can have an intro. */
 
 class AudioEngine {
     constructor() {
         this.audioContext = null;
-        this.musicSource = null;
-        this.musicGainNode = null;
-        this.currentMusicBuffer = null;
-        this.musicStartTime = 0;
-        this.musicPauseOffset = 0;
+        this.buses = {}; // Gain nodes keyed by bus name, see AUDIO_BUSES
+        this.mixer = loadMixerSettings(); // { volume: 0 to 1, muted } keyed by bus name
+        this.duckGainNode = null;
+        this.duckReasons = new Set();
+        this.musicGainNodes = []; // The two gains music tracks take turns on
+        this.musicVoice = null; // The track playing: { track, source, gainIndex, loop, onEnded, startTime, startOffset }
+        this.fadingMusicVoice = null; // The track fading out, if the music just changed
+        this.pausedMusic = null; // { track, loop, onEnded } while paused, see pauseMusic
+        this.musicPauseOffset = 0; // Where the paused track was, in seconds
         this.soundCooldowns = new Map();
     }
 
@@ -22,55 +34,210 @@ class AudioEngine {
     _initContext() {
         if (this.audioContext) return;
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        this.musicGainNode = this.audioContext.createGain();
-        this.musicGainNode.connect(this.audioContext.destination);
+
+        for (const bus of AUDIO_BUSES) {
+            this.buses[bus] = this.audioContext.createGain();
+            this.buses[bus].connect(bus === 'master' ? this.audioContext.destination : this.buses.master);
+            this._applyBusGain(bus, 0);
+        }
+
+        this.duckGainNode = this.audioContext.createGain();
+        this.duckGainNode.gain.value = this.duckReasons.size ? DUCK_VOLUME : 1;
+        this.duckGainNode.connect(this.buses.music);
+        this.musicGainNodes = [0, 1].map(() => {
+            const gainNode = this.audioContext.createGain();
+            gainNode.gain.value = 0;
+            gainNode.connect(this.duckGainNode);
+            return gainNode;
+        });
     }
 
     /**
-     * Plays a music track. If another track is playing, it crossfades to the new one.
-     * @param {AudioBuffer} audioBuffer The pre-loaded audio buffer to play.
-     * @param {number} [fadeInTime=0.5] Time in seconds for the music to fade in.
-     * @param {number} [fadeOutTime=0.5] Time in seconds for the old music to fade out.
-     * @param {boolean} [loop=true] Whether the music should loop.
+     * Sets a bus's gain from its mixer settings.
+     * @param {string} bus One of AUDIO_BUSES.
+     * @param {number} [smoothing=0.02] Seconds to glide there, so dragging a slider doesn't click.
      */
-    async playMusic(audioBuffer, { fadeInTime = 0.5, fadeOutTime = 0.5, loop = true } = {}) {
-        this._initContext();
+    _applyBusGain(bus, smoothing = 0.02) {
+        if (!this.audioContext) return;
+        const { volume, muted } = this.mixer[bus];
+        const gain = this.buses[bus].gain;
+        gain.cancelScheduledValues(this.audioContext.currentTime);
+        if (smoothing > 0) gain.setTargetAtTime(muted ? 0 : volume, this.audioContext.currentTime, smoothing);
+        else gain.setValueAtTime(muted ? 0 : volume, this.audioContext.currentTime);
+    }
+
+    /**
+     * Sets a bus's volume and saves it.
+     * @param {string} bus One of AUDIO_BUSES.
+     * @param {number} volume 0 to 1.
+     */
+    setBusVolume(bus, volume) {
+        this.mixer[bus].volume = Math.max(0, Math.min(1, volume));
+        this._applyBusGain(bus);
+        saveMixerSettings(this.mixer);
+    }
+
+    /**
+     * Mutes or unmutes a bus and saves it. Its volume is kept for when it's unmuted.
+     * @param {string} bus One of AUDIO_BUSES.
+     * @param {boolean} muted
+     */
+    setBusMuted(bus, muted) {
+        this.mixer[bus].muted = muted;
+        this._applyBusGain(bus);
+        saveMixerSettings(this.mixer);
+    }
+
+    /**
+     * Puts every bus back to full volume, unmuted.
+     */
+    resetMixer() {
+        localStorage.removeItem(MIXER_STORAGE_KEY);
+        this.mixer = loadMixerSettings();
+        AUDIO_BUSES.forEach(bus => this._applyBusGain(bus));
+    }
+
+    /**
+     * Turns the music down for a reason, or lets it back up once no reasons are left.
+     * @param {*} reason Anything that identifies what's ducking it, e.g. 'dialogue'.
+     * @param {boolean} ducked
+     */
+    setDucked(reason, ducked) {
+        const wasDucked = this.duckReasons.size > 0;
+        if (ducked) this.duckReasons.add(reason);
+        else this.duckReasons.delete(reason);
+
+        const isDucked = this.duckReasons.size > 0;
+        if (!this.audioContext || isDucked === wasDucked) return;
+
+        const gain = this.duckGainNode.gain;
+        gain.cancelScheduledValues(this.audioContext.currentTime);
+        gain.setTargetAtTime(isDucked ? DUCK_VOLUME : 1, this.audioContext.currentTime,
+            (isDucked ? DUCK_ATTACK_TIME : DUCK_RELEASE_TIME) / 3);
+    }
 
-        // If music is already playing, fade it out.
-        if (this.musicSource) {
-            const oldSource = this.musicSource; // Capture the source to stop it later.
-            
-            // Schedule the fade-out
-            this.musicGainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-            this.musicGainNode.gain.setValueAtTime(this.musicGainNode.gain.value, this.audioContext.currentTime);
-            this.musicGainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + fadeOutTime);
-
-            // Stop the old source after the fade-out is complete.
-            await timeout(() => {
-                oldSource.stop();
-            }, fadeOutTime * 1000 + 10);
+    /**
+     * Suspends all audio output, preserving every playback position (e.g. while the tab is hidden).
+     */
+    suspend() {
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
         }
+    }
 
-        // Reset state for the new track
-        this.musicPauseOffset = 0;
-        this.currentMusicBuffer = audioBuffer;
-        
-        // Create and configure the new source
-        this.musicSource = this.audioContext.createBufferSource();
-        this.musicSource.buffer = this.currentMusicBuffer;
-        this.musicSource.loop = loop;
-        this.musicSource.connect(this.musicGainNode);
-
-        // Schedule the fade-in for the new track
-        // If not fading out, start from 0. Otherwise, start from the current value for a smooth crossfade.
-        if (!this.musicSource) {
-            this.musicGainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+    /**
+     * Resumes audio output after a call to suspend().
+     */
+    resume() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
         }
-        this.musicGainNode.gain.linearRampToValueAtTime(1, this.audioContext.currentTime + fadeInTime);
-        
-        // Start playback
-        this.musicSource.start(0, this.musicPauseOffset);
-        this.musicStartTime = this.audioContext.currentTime - this.musicPauseOffset;
+    }
+
+    /**
+     * Ramps a gain from where it is now to a value.
+     * @param {AudioParam} gain
+     * @param {number} value
+     * @param {number} time Seconds, 0 to set it straight away.
+     */
+    _rampGain(gain, value, time) {
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        if (time > 0) gain.linearRampToValueAtTime(value, now + time);
+        else gain.setValueAtTime(value, now);
+    }
+
+    /**
+     * Starts a music track on whichever of the two music gains isn't in use, fading it in.
+     * @param {object} track
+     * @param {number} offset Where to start, in seconds.
+     * @param {number} fadeInTime Seconds.
+     * @param {boolean} loop
+     * @param {Function|null} onEnded
+     */
+    _startMusicVoice(track, offset, fadeInTime, loop, onEnded) {
+        const gainIndex = this.fadingMusicVoice ? 1 - this.fadingMusicVoice.gainIndex : 0;
+        const source = this.audioContext.createBufferSource();
+        source.buffer = track.buffer;
+        source.loop = loop;
+        if (loop) {
+            source.loopStart = track.loopStart || 0;
+            source.loopEnd = track.loopEnd || 0;
+        }
+        source.connect(this.musicGainNodes[gainIndex]);
+
+        const voice = { track, source, gainIndex, loop, onEnded, startTime: this.audioContext.currentTime, startOffset: offset };
+        source.onended = () => {
+            // Only a track that played to the end moves on; ones that were stopped or replaced don't
+            if (this.musicVoice !== voice) return;
+            this.musicVoice = null;
+            if (onEnded) onEnded();
+        };
+        source.start(0, offset);
+
+        const gain = this.musicGainNodes[gainIndex].gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(fadeInTime > 0 ? 0 : 1, now);
+        if (fadeInTime > 0) gain.linearRampToValueAtTime(1, now + fadeInTime);
+        this.musicVoice = voice;
+    }
+
+    /**
+     * Fades out the track that's playing, stopping it once it's silent.
+     * @param {number} fadeOutTime Seconds.
+     */
+    _fadeOutMusicVoice(fadeOutTime) {
+        const voice = this.musicVoice;
+        if (!voice) return;
+        this.musicVoice = null;
+
+        // Only two tracks can overlap, so one still fading from an earlier change has to go now
+        if (this.fadingMusicVoice) this.fadingMusicVoice.source.stop();
+        this.fadingMusicVoice = voice;
+
+        this._rampGain(this.musicGainNodes[voice.gainIndex].gain, 0, fadeOutTime);
+        voice.source.onended = () => {
+            if (this.fadingMusicVoice === voice) this.fadingMusicVoice = null;
+        };
+        voice.source.stop(this.audioContext.currentTime + Math.max(0, fadeOutTime));
+    }
+
+    /**
+     * Works out where a track is after playing for a while, following its loop.
+     * @param {object} voice
+     * @returns {number} Seconds into the track.
+     */
+    _getVoicePosition(voice) {
+        const { track, loop } = voice;
+        const position = voice.startOffset + this.audioContext.currentTime - voice.startTime;
+        const loopEnd = track.loopEnd || track.buffer.duration;
+        const loopStart = track.loopStart || 0;
+        if (!loop) return Math.min(position, track.buffer.duration);
+        if (position < loopEnd) return position;
+        return loopStart + (position - loopStart) % (loopEnd - loopStart);
+    }
+
+    /**
+     * Plays a music track. If another track is playing, the two crossfade: the old one fades out as the new one fades in.
+     * @param {object|null} track The track to play, see loadTrack, or null to fade to silence.
+     * @param {object} [options]
+     * @param {number} [options.fadeInTime=0.5] Time in seconds for the music to fade in.
+     * @param {number} [options.fadeOutTime=0.5] Time in seconds for the old music to fade out.
+     * @param {boolean} [options.loop=true] Whether the music should loop.
+     * @param {number} [options.offset=0] Where to start the track, in seconds, e.g. to carry on from where it was left.
+     * @param {Function} [options.onEnded] Called when a track that doesn't loop finishes, e.g. to play the next in a playlist.
+     */
+    playMusic(track, { fadeInTime = 0.5, fadeOutTime = 0.5, loop = true, offset = 0, onEnded = null } = {}) {
+        this._initContext();
+
+        this._fadeOutMusicVoice(fadeOutTime);
+        this.pausedMusic = null;
+        this.musicPauseOffset = 0;
+        if (!track || !track.buffer) return;
+
+        this._startMusicVoice(track, Math.max(0, Math.min(offset, track.buffer.duration)), fadeInTime, loop, onEnded);
     }
 
     /**
@@ -78,41 +245,35 @@ class AudioEngine {
      * @param {number} [fadeOutTime=0] Time in seconds for the music to fade out.
      */
     stopMusic(fadeOutTime = 0) {
-        if (!this.musicSource) return;
-
-        this.musicGainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-        this.musicGainNode.gain.setValueAtTime(this.musicGainNode.gain.value, this.audioContext.currentTime);
-        this.musicGainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + fadeOutTime);
-
-        setTimeout(() => {
-            if (this.musicSource) {
-                this.musicSource.stop();
-                this.musicSource = null;
-                this.currentMusicBuffer = null;
-                this.musicPauseOffset = 0;
-            }
-        }, fadeOutTime * 1000);
+        if (!this.audioContext) return;
+        this._fadeOutMusicVoice(fadeOutTime);
+        this.pausedMusic = null;
+        this.musicPauseOffset = 0;
     }
 
     /**
-     * Pauses the currently playing music.
+     * Pauses the currently playing music, remembering where it was for resumeMusic.
      * @param {number} [fadeOutTime=0] Time in seconds for the music to fade out before pausing.
      */
     pauseMusic(fadeOutTime = 0) {
-        if (!this.musicSource) return;
+        const voice = this.musicVoice;
+        if (!voice) return;
 
-        this.musicPauseOffset = (this.audioContext.currentTime - this.musicStartTime) % this.currentMusicBuffer.duration;
-        
-        this.musicGainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-        this.musicGainNode.gain.setValueAtTime(this.musicGainNode.gain.value, this.audioContext.currentTime);
-        this.musicGainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + fadeOutTime);
-
-        setTimeout(() => {
-            if (this.musicSource) {
-                this.musicSource.stop();
-                this.musicSource = null; // Mark as not playing
-            }
-        }, fadeOutTime * 1000);
+        this.musicPauseOffset = this._getVoicePosition(voice);
+        this.pausedMusic = { track: voice.track, loop: voice.loop, onEnded: voice.onEnded };
+        this._fadeOutMusicVoice(fadeOutTime);
+    }
+
+    /**
+     * Carries on with the music paused by pauseMusic, from where it was.
+     * @param {number} [fadeInTime=0] Time in seconds for the music to fade back in.
+     */
+    resumeMusic(fadeInTime = 0) {
+        const paused = this.pausedMusic;
+        if (!paused || this.musicVoice) return;
+
+        this.pausedMusic = null;
+        this._startMusicVoice(paused.track, this.musicPauseOffset, fadeInTime, paused.loop, paused.onEnded);
     }
 
     /**
@@ -120,36 +281,36 @@ class AudioEngine {
      * @returns {number} The current position in milliseconds.
      */
     getPosition() {
-        if (!this.currentMusicBuffer) return 0;
-
-        if (this.musicSource) { // It's playing
-            return ((this.audioContext.currentTime - this.musicStartTime) % this.currentMusicBuffer.duration) * 1000;
-        } else { // It's paused
-            return this.musicPauseOffset * 1000;
-        }
+        if (this.musicVoice) return this._getVoicePosition(this.musicVoice) * 1000;
+        if (this.pausedMusic) return this.musicPauseOffset * 1000;
+        return 0;
     }
     
     /**
-     * Sets the playback position of the music in milliseconds.
+     * Sets the playback position of the music in milliseconds. Paused music starts from there when it's resumed.
      * @param {number} position The position to seek to in milliseconds.
      */
     setPosition(position) {
-        if (!this.currentMusicBuffer) return;
-        const wasPlaying = !!this.musicSource;
-        const loop = wasPlaying ? this.musicSource.loop : true;
-
-        if (wasPlaying) {
-            this.musicSource.stop();
-        }
-        
-        this.musicPauseOffset = position / 1000;
-        
-        if(wasPlaying) {
-            // This effectively restarts the track from the new position
-            this.playMusic(this.currentMusicBuffer, 0, loop);
+        const voice = this.musicVoice;
+        if (!voice) {
+            if (this.pausedMusic) this.musicPauseOffset = Math.max(0, position / 1000);
+            return;
         }
+
+        // Jump straight there: the same track can't crossfade with itself without an echo
+        this._fadeOutMusicVoice(0);
+        const offset = Math.max(0, Math.min(position / 1000, voice.track.buffer.duration));
+        this._startMusicVoice(voice.track, offset, 0, voice.loop, voice.onEnded);
     }
 
+    /**
+     * Gets the track playing (or paused), if any.
+     * @returns {object|null}
+     */
+    getMusicTrack() {
+        if (this.musicVoice) return this.musicVoice.track;
+        return this.pausedMusic ? this.pausedMusic.track : null;
+    }
 
     /**
      * Plays a sound effect. Can be fire-and-forget or controlled.
@@ -157,10 +318,19 @@ class AudioEngine {
      * @param {object} [options={}] Optional parameters.
      * @param {boolean} [options.loop=false] Whether the sound should loop.
      * @param {number} [options.timeout=0] The cooldown in milliseconds before this same sound can be played again.
-     * @returns {object|null} A controller object with stop(), pause(), and play() methods, or null if the sound is on cooldown.
+     * @param {number} [options.volume=1] 0 to 1, on top of the bus volume.
+     * @param {number} [options.rate=1] Playback rate, which also shifts the pitch.
+     * @param {number} [options.pitchVariation=0] Shifts the pitch up or down by up to this many semitones, picked at random,
+     *        so sounds played over and over don't all sound the same.
+     * @param {number} [options.pan=0] Stereo position, -1 (left) to 1 (right).
+     * @param {string} [options.bus='sfx'] 'sfx' or 'ambience'.
+     * @param {boolean} [options.duck] Whether to duck the music while it plays. Defaults to true for one-off sfx.
+     * @returns {object|null} A controller object with stop(), pause(), play(), setVolume() and setPan() methods,
+     *          or null if the sound is on cooldown.
      */
-    playSound(audioBuffer, { loop = false, timeout = 0 } = {}) {
+    playSound(audioBuffer, { loop = false, timeout = 0, volume = 1, rate = 1, pitchVariation = 0, pan = 0, bus = 'sfx', duck = bus === 'sfx' && !loop } = {}) {
         this._initContext();
+        if (!audioBuffer) return null; // A sound that failed to load
 
         // ⏱️ Check if the sound is currently on a cooldown period.
         if (timeout > 0) {
@@ -179,27 +349,45 @@ class AudioEngine {
             this.soundCooldowns.set(audioBuffer, this.audioContext.currentTime);
         }
 
-        let source = this.audioContext.createBufferSource();
-        source.buffer = audioBuffer;
-        source.loop = loop;
+        const playbackRate = rate * Math.pow(2, (Math.random() * 2 - 1) * pitchVariation / 12);
 
         const gainNode = this.audioContext.createGain();
-        source.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        gainNode.gain.value = volume;
+        // Older Safari has no stereo panner, so sounds there are just centred
+        const pannerNode = this.audioContext.createStereoPanner ? this.audioContext.createStereoPanner() : null;
+        if (pannerNode) {
+            pannerNode.pan.value = Math.max(-1, Math.min(1, pan));
+            gainNode.connect(pannerNode);
+        }
+        (pannerNode || gainNode).connect(this.buses[bus] || this.buses.sfx);
 
+        let source = null;
         let startTime = 0;
-        let pauseOffset = 0;
+        let pauseOffset = 0; // Position in the buffer, in seconds of audio
         let isPlaying = false;
+        const duckReason = {}; // Identifies this sound in duckReasons
+        // There's no point turning the music down for a sound that can't be heard
+        const ducks = duck && !this.mixer[bus].muted && this.mixer[bus].volume > 0;
+
+        const setPlaying = (playing) => {
+            isPlaying = playing;
+            if (ducks) this.setDucked(duckReason, playing);
+        };
 
         const play = () => {
             if (isPlaying) return;
-            source = this.audioContext.createBufferSource();
+            const thisSource = source = this.audioContext.createBufferSource();
             source.buffer = audioBuffer;
             source.loop = loop;
+            source.playbackRate.value = playbackRate;
             source.connect(gainNode);
             source.start(0, pauseOffset % audioBuffer.duration);
-            startTime = this.audioContext.currentTime - pauseOffset;
-            isPlaying = true;
+            startTime = this.audioContext.currentTime - pauseOffset / playbackRate;
+            // Sounds that finish by themselves are cleaned up; a source replaced by pause() and play() is ignored
+            source.onended = () => {
+                if (source === thisSource && isPlaying) setPlaying(false);
+            };
+            setPlaying(true);
         };
         
         play(); // Auto-play on creation
@@ -212,25 +400,61 @@ class AudioEngine {
                 gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + fadeOutTime);
                 setTimeout(() => {
                     source.stop();
-                    isPlaying = false;
+                    setPlaying(false);
                     pauseOffset = 0; // Stop resets position
+                    gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+                    gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
                 }, fadeOutTime * 1000);
             },
             pause: () => {
                 if (!isPlaying) return;
                 source.stop();
-                isPlaying = false;
-                pauseOffset = this.audioContext.currentTime - startTime;
+                setPlaying(false);
+                pauseOffset = (this.audioContext.currentTime - startTime) * playbackRate;
             },
             play: () => play(),
             isPlaying: () => isPlaying,
+            // For sounds that move, e.g. positional sounds updated every frame. Glides briefly so changes don't click
+            setVolume: (newVolume) => {
+                volume = newVolume;
+                gainNode.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.02);
+            },
+            setPan: (newPan) => {
+                if (pannerNode) pannerNode.pan.setTargetAtTime(Math.max(-1, Math.min(1, newPan)), this.audioContext.currentTime, 0.02);
+            },
         };
-        
-        // For fire-and-forget sounds, they are cleaned up automatically when playback ends
-        if (!loop) {
-            source.onended = () => { isPlaying = false; };
-        }
 
         return controller;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Loads the mixer settings from localStorage, falling back to full volume for anything missing or malformed.
+ * @returns {object} { volume, muted } keyed by bus name.
+ */
+function loadMixerSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(MIXER_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Volume settings could not be read, using the defaults:', error);
+    }
+
+    const mixer = {};
+    for (const bus of AUDIO_BUSES) {
+        const settings = stored[bus] || {};
+        mixer[bus] = {
+            volume: typeof settings.volume === 'number' ? Math.max(0, Math.min(1, settings.volume)) : 1,
+            muted: settings.muted === true
+        };
+    }
+    return mixer;
+}
+
+function saveMixerSettings(mixer) {
+    try {
+        localStorage.setItem(MIXER_STORAGE_KEY, JSON.stringify(mixer));
+    } catch (error) {
+        console.error('Failed to save volume settings:', error);
+    }
+}
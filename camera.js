@@ -0,0 +1,226 @@
+const CAMERA_FOLLOW_SPEED = 6; // How quickly the camera catches up with the player, per second (exponential)
+const CAMERA_DEADZONE_WIDTH = 12; // The player can move this far around the middle of the view before the camera follows
+const CAMERA_DEADZONE_HEIGHT = 8;
+
+/* The camera is simulated in ticks like everything else: camera.posX/posY is its top-left at the current
+   tick and camera.prevPosX/prevPosY at the one before. applyCameraView interpolates between the two
+   (and adds any shake) into camera.x/y, which is what drawing reads. */
+
+const easeInOut = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Keeps a camera position inside the map, or inside its world if it's part of one (see getCameraBounds).
+ * An area smaller than the view is pinned to its top-left.
+ * @param {object} map An entry of game.maps.
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+function clampCameraToMap(map, x, y) {
+    const bounds = getCameraBounds(map);
+    return {
+        x: Math.max(bounds.left, Math.min(x, bounds.right - camera.width)),
+        y: Math.max(bounds.top, Math.min(y, bounds.bottom - camera.height))
+    };
+}
+
+/**
+ * Gets the camera position that centres the player.
+ * @param {boolean} [clamped=false] Whether to keep it inside the current map.
+ * @returns {{x: number, y: number}}
+ */
+function getPlayerCameraTarget(clamped = false) {
+    const x = player.x + player.width / 2 - camera.width / 2;
+    const y = player.y + player.height / 2 - camera.height / 2;
+    return clamped ? clampCameraToMap(game.maps[player.location], x, y) : { x, y };
+}
+
+/**
+ * Moves one axis of the camera towards its target, ignoring anything within the deadzone.
+ * @param {number} position The camera's current position on the axis.
+ * @param {number} target The position that would centre the player.
+ * @param {number} deadzone The deadzone's size on the axis.
+ * @param {number} t How far to close the gap this tick, 0 to 1.
+ * @returns {number}
+ */
+function followAxis(position, target, deadzone, t) {
+    const offset = target - position;
+    if (Math.abs(offset) <= deadzone / 2) return position;
+
+    const wanted = target - Math.sign(offset) * deadzone / 2;
+    return lerp(position, wanted, t);
+}
+
+/**
+ * Advances the camera by one tick: follows the player (or a pan), then rolls the shake.
+ * The camera jumps straight to the player when the map changes, rather than gliding in from the old map's position.
+ * @param {number} dt The tick length in seconds.
+ */
+function updateCamera(dt) {
+    const currentMap = game.maps[player.location];
+    if (!currentMap) return;
+
+    camera.prevPosX = camera.posX;
+    camera.prevPosY = camera.posY;
+
+    let position;
+    if (camera.location !== player.location) {
+        camera.location = player.location;
+        camera.pan = null;
+        position = getPlayerCameraTarget(true);
+        camera.prevPosX = position.x;
+        camera.prevPosY = position.y;
+    } else if (camera.pan) {
+        const pan = camera.pan;
+        pan.elapsed = Math.min(pan.duration, pan.elapsed + dt * 1000);
+        const target = pan.toPlayer ? getPlayerCameraTarget(true) : pan.to;
+        const t = pan.duration > 0 ? easeInOut(pan.elapsed / pan.duration) : 1;
+        position = { x: lerp(pan.from.x, target.x, t), y: lerp(pan.from.y, target.y, t) };
+
+        // A pan back to the player hands over to following once it arrives; any other pan holds its point
+        if (pan.toPlayer && pan.elapsed >= pan.duration) camera.pan = null;
+    } else {
+        const target = getPlayerCameraTarget();
+        const t = 1 - Math.exp(-CAMERA_FOLLOW_SPEED * dt);
+        position = {
+            x: followAxis(camera.posX, target.x, CAMERA_DEADZONE_WIDTH, t),
+            y: followAxis(camera.posY, target.y, CAMERA_DEADZONE_HEIGHT, t)
+        };
+    }
+
+    position = clampCameraToMap(currentMap, position.x, position.y);
+    camera.posX = position.x;
+    camera.posY = position.y;
+
+    updateCameraShake(dt);
+}
+
+/**
+ * Picks this tick's shake offset, shrinking as the shake runs out.
+ * @param {number} dt The tick length in seconds.
+ */
+function updateCameraShake(dt) {
+    const shake = camera.shake;
+    if (shake.remaining <= 0) {
+        shake.offsetX = 0;
+        shake.offsetY = 0;
+        return;
+    }
+
+    shake.remaining = Math.max(0, shake.remaining - dt * 1000);
+    const strength = shake.intensity * (shake.remaining / shake.duration);
+    shake.offsetX = Math.round((Math.random() * 2 - 1) * strength);
+    shake.offsetY = Math.round((Math.random() * 2 - 1) * strength);
+}
+
+/**
+ * Sets camera.x/y for this frame, interpolated between the last two ticks.
+ * Rounded so the pixel art is never drawn at sub-pixel offsets.
+ * @param {number} alpha How far between the previous and current tick, see loop.alpha.
+ */
+function applyCameraView(alpha) {
+    camera.x = Math.round(lerp(camera.prevPosX, camera.posX, alpha)) + camera.shake.offsetX;
+    camera.y = Math.round(lerp(camera.prevPosY, camera.posY, alpha)) + camera.shake.offsetY;
+}
+
+/**
+ * Shakes the view, e.g. for something heavy landing. A stronger shake replaces a weaker one still running.
+ * @param {number} intensity The largest offset in pixels.
+ * @param {number} ms How long the shake lasts, dying down as it goes.
+ */
+function shakeCamera(intensity, ms) {
+    const shake = camera.shake;
+    const current = shake.remaining > 0 ? shake.intensity * (shake.remaining / shake.duration) : 0;
+    if (intensity < current || ms <= 0) return;
+
+    shake.intensity = intensity;
+    shake.duration = ms;
+    shake.remaining = ms;
+}
+
+/**
+ * Glides the camera to centre a point on the current map and holds it there until resetCamera.
+ * @param {number} x Map X coordinate to centre on.
+ * @param {number} y Map Y coordinate to centre on.
+ * @param {number} ms How long the pan takes.
+ */
+function panCamera(x, y, ms) {
+    const currentMap = game.maps[player.location];
+    if (!currentMap) return;
+
+    camera.pan = {
+        from: { x: camera.posX, y: camera.posY },
+        to: clampCameraToMap(currentMap, x - camera.width / 2, y - camera.height / 2),
+        toPlayer: false,
+        elapsed: 0,
+        duration: ms
+    };
+}
+
+/**
+ * Glides the camera back to the player after a pan, then carries on following.
+ * @param {number} ms How long the pan back takes.
+ */
+function resetCamera(ms) {
+    if (!camera.pan) return;
+
+    camera.pan = {
+        from: { x: camera.posX, y: camera.posY },
+        to: null,
+        toPlayer: true,
+        elapsed: 0,
+        duration: ms
+    };
+}
+
+/**
+ * Moves the camera along with everything else when the player crosses onto a neighbouring map, so nothing
+ * visibly moves. Positions are relative to the map, so the same view has different coordinates on the new one.
+ * @param {number} dx
+ * @param {number} dy
+ * @param {string} location The map the camera is now on.
+ */
+function shiftCamera(dx, dy, location) {
+    camera.posX += dx;
+    camera.posY += dy;
+    camera.prevPosX += dx;
+    camera.prevPosY += dy;
+    camera.location = location;
+    if (camera.pan) {
+        camera.pan.from.x += dx;
+        camera.pan.from.y += dy;
+        if (camera.pan.to) {
+            camera.pan.to.x += dx;
+            camera.pan.to.y += dy;
+        }
+    }
+}
+
+/**
+ * Makes the camera jump to the player on the next tick instead of gliding there, e.g. after loading a save.
+ */
+function snapCamera() {
+    camera.location = null;
+    camera.shake.remaining = 0;
+}
+
+/**
+ * Finds the map pixel under a point on the page, going by the last frame drawn.
+ * @param {number} clientX CSS pixels.
+ * @param {number} clientY
+ * @returns {{mapName: string, x: number, y: number}|null} Relative to whichever map the pixel is on, the player's
+ *          or one next to it. null if it's outside the view or off every map.
+ */
+function getMapPointAt(clientX, clientY) {
+    const currentMap = game.maps[player.location];
+    const view = clientToViewPoint(clientX, clientY);
+    if (!currentMap || view.x < 0 || view.y < 0 || view.x >= camera.width || view.y >= camera.height) return null;
+
+    const x = Math.floor(view.x + camera.x);
+    const y = Math.floor(view.y + camera.y);
+    const { width, height } = core.getMapPixelSize(currentMap);
+    if (x >= 0 && x < width && y >= 0 && y < height) return { mapName: player.location, x, y };
+    return core.findWorldMapAt(game, player.location, x, y);
+}
+
+const isCameraPanning = () => camera.pan !== null && camera.pan.elapsed < camera.pan.duration;
@@ -0,0 +1,107 @@
+const CLICK_MOVE_STUCK_TICKS = 20; // Ticks without moving before a walk gives up, e.g. when an NPC is in the way
+
+/* Clicking or tapping the game walks the player there along a path round the walls, see core/pathfinding.mjs.
+   Clicking an interactable walks up to it and uses it, as if interact were pressed on arrival, even if it
+   overlaps one that pressing interact would pick first. Places the player can't reach are walked as near to
+   as they can get, and clicks on a neighbouring map of a world walk to the edge of theirs. Pressing a direction or interact takes over, and anything that stops the
+   player moving (dialogue, a script, a transition) ends the walk. Clicks do nothing in debug mode, where
+   they print positions instead, see debug.js.
+
+   The walk is fed to updatePlayerPosition as ordinary input, so replays record it like any other. */
+
+const clickMove = {
+    path: null, // Waypoints still to walk to, from findPath. null when not walking
+    target: null, // The Tiled object to use on arrival, if one was clicked
+    location: '', // The map the path is on
+    lastX: 0, // Where the player was last tick, to notice them getting stuck
+    lastY: 0,
+    stuckTicks: 0
+};
+
+const isClickMoving = () => clickMove.path !== null;
+
+function cancelClickMove() {
+    clickMove.path = null;
+    clickMove.target = null;
+}
+
+/**
+ * Finds an interactable the player could use under a pixel of their map. Where several overlap, it's the one
+ * pressing interact would pick, see compareInteractables.
+ * @param {object} map An entry of game.maps.
+ * @param {number} x
+ * @param {number} y
+ * @returns {object|null} The Tiled object.
+ */
+function findInteractableAt(map, x, y) {
+    const objects = map.interactablesLayer ? map.interactablesLayer.objects : [];
+    const candidates = objects.filter(obj => x >= obj.x && x < obj.x + obj.width && y >= obj.y && y < obj.y + obj.height &&
+        core.isObjectAvailable(game, map.name, obj));
+    return candidates.sort((a, b) => core.compareInteractables(player, a, b))[0] || null;
+}
+
+/**
+ * Starts walking the player to a point on the page.
+ * @param {number} clientX CSS pixels.
+ * @param {number} clientY
+ */
+function startClickMove(clientX, clientY) {
+    const point = getMapPointAt(clientX, clientY);
+    const currentMap = game.maps[player.location];
+    if (!point || !currentMap) return;
+
+    // Positions on a neighbouring map are relative to it, see getWorldOffset
+    const offset = point.mapName === player.location ? { x: 0, y: 0 } : core.getWorldOffset(game, player.location, point.mapName);
+    const x = point.x + offset.x;
+    const y = point.y + offset.y;
+
+    const target = findInteractableAt(currentMap, x, y);
+    const path = core.findPath(game, target ? core.getObjectGoal(player, target) : core.getPointGoal(player, x, y));
+    if (!path) return;
+
+    clickMove.path = path;
+    clickMove.target = target;
+    clickMove.location = player.location;
+    clickMove.lastX = player.x;
+    clickMove.lastY = player.y;
+    clickMove.stuckTicks = 0;
+}
+
+/**
+ * Gets this tick's input for the walk, if there is one, ending it once it arrives or gets stuck.
+ * @param {number} dt The tick length in seconds.
+ * @returns {{move: {x: number, y: number}, interacting: boolean, target: object|null}} Standing still if
+ *     there's no walk. target is the interactable to use on arrival, even where another would be picked first.
+ */
+function followClickMove(dt) {
+    const still = { move: { x: 0, y: 0 }, interacting: false, target: null };
+    if (!isClickMoving()) return still;
+    // Somewhere else entirely, e.g. a door or the next map of a world
+    if (player.location !== clickMove.location) {
+        cancelClickMove();
+        return still;
+    }
+
+    const { target } = clickMove;
+    if (target && core.isInRange(player, target)) {
+        cancelClickMove();
+        return { ...still, interacting: true, target };
+    }
+
+    const stuck = player.x === clickMove.lastX && player.y === clickMove.lastY;
+    clickMove.stuckTicks = stuck ? clickMove.stuckTicks + 1 : 0;
+    clickMove.lastX = player.x;
+    clickMove.lastY = player.y;
+
+    const move = core.followPath(game, clickMove.path, dt);
+    if (!move || clickMove.stuckTicks > CLICK_MOVE_STUCK_TICKS) {
+        cancelClickMove();
+        return still;
+    }
+    return { ...still, move };
+}
+
+screenCanvas.addEventListener('click', (event) => {
+    if (debug.enabled || !isGameRunning() || loop.paused || isPlayerBlocked()) return;
+    startClickMove(event.clientX, event.clientY);
+});
@@ -0,0 +1,6 @@
+/* Hands the core to the game's classic scripts as the global `core`. Loaded first, and the classic scripts
+   are deferred, so it's there by the time they run. */
+
+import * as core from './index.mjs';
+
+window.core = core;
@@ -0,0 +1,43 @@
+export const DAY_LENGTH = 24 * 60; // In-game minutes
+export const CLOCK_SPEED = 1; // In-game minutes per second of play, so a day lasts 24 minutes
+export const NEW_GAME_TIME = 8 * 60; // 08:00
+
+// The parts of the day, by the hour they start. Scripts and Tiled objects can check which one it is
+export const TIME_PERIODS = [
+    { name: 'night', from: 0 },
+    { name: 'dawn', from: 5 },
+    { name: 'day', from: 7 },
+    { name: 'dusk', from: 18 },
+    { name: 'night', from: 20 }
+];
+
+/* The clock (game.time, minutes since midnight) runs while the game does and is saved with it.
+   How it lights the scene is up to the browser, see lighting.js. */
+
+/**
+ * Moves the clock on by one tick.
+ * @param {object} game
+ * @param {number} dt The tick length in seconds.
+ */
+export function advanceClock(game, dt) {
+    game.time = (game.time + dt * CLOCK_SPEED) % DAY_LENGTH;
+}
+
+/**
+ * Sets the clock.
+ * @param {object} game
+ * @param {number} hour 0 to 24, may be fractional.
+ */
+export function setTimeOfDay(game, hour) {
+    game.time = ((hour * 60) % DAY_LENGTH + DAY_LENGTH) % DAY_LENGTH;
+}
+
+/**
+ * Gets which part of the day it is.
+ * @param {object} game
+ * @returns {'dawn'|'day'|'dusk'|'night'}
+ */
+export function getTimePeriod(game) {
+    const hour = game.time / 60;
+    return TIME_PERIODS.findLast(period => hour >= period.from).name;
+}
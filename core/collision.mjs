@@ -0,0 +1,268 @@
+import { flattenLayers, getMapPixelSize, getTileBox, getTileCollision } from './tiled.mjs';
+
+/* Walls are preprocessed when a map loads into a collision grid: one bit per map pixel, packed 32 to a word,
+   a row at a time. Solid pixels come from:
+   - the "Collision" tile layer, where any tile makes its cell solid,
+   - shapes (rectangles, ellipses, polygons) on a "Collision" object layer,
+   - collision shapes drawn on tiles in Tiled's tile collision editor, wherever those tiles are placed.
+   A pixel is solid when its centre is inside a shape, so shapes match the way Tiled draws them.
+
+   Entities collide using row spans of their collision mask: { y, start, end } runs of solid pixels,
+   which can be tested against a row of the grid a word at a time. */
+
+/**
+ * Creates an empty collision grid.
+ * @param {number} width In pixels.
+ * @param {number} height
+ * @returns {{width: number, height: number, stride: number, bits: Uint32Array}} stride is the number of words per row.
+ */
+export function createCollisionGrid(width, height) {
+    const stride = Math.ceil(width / 32);
+    return { width, height, stride, bits: new Uint32Array(stride * height) };
+}
+
+function setCollisionPixel(grid, x, y) {
+    grid.bits[y * grid.stride + (x >>> 5)] |= 1 << (x & 31);
+}
+
+/**
+ * Checks whether a pixel of a collision grid is solid. Pixels off the grid aren't.
+ * @returns {boolean}
+ */
+export function isCollisionPixelSolid(grid, x, y) {
+    if (x < 0 || x >= grid.width || y < 0 || y >= grid.height) return false;
+    return (grid.bits[y * grid.stride + (x >>> 5)] & (1 << (x & 31))) !== 0;
+}
+
+/**
+ * Checks whether any pixel of a run along one row of a collision grid is solid. The run must be on the grid.
+ * @param {object} grid
+ * @param {number} y
+ * @param {number} start First pixel of the run.
+ * @param {number} end One past the last pixel.
+ * @returns {boolean}
+ */
+export function isCollisionSpanSolid(grid, y, start, end) {
+    const row = y * grid.stride;
+    for (let x = start; x < end;) {
+        const bit = x & 31;
+        const count = Math.min(32 - bit, end - x);
+        const mask = count === 32 ? 0xffffffff : ((1 << count) - 1) << bit;
+        if (grid.bits[row + (x >>> 5)] & mask) return true;
+        x += count;
+    }
+    return false;
+}
+
+/**
+ * Breaks a collision mask into runs of solid pixels, one or more per row.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} collisionMap RGBA pixels, e.g. ImageData.
+ *        Any non-transparent pixel is solid.
+ * @returns {Array<{y: number, start: number, end: number}>} end is one past the last solid pixel.
+ */
+export function getCollisionSpans(collisionMap) {
+    const spans = [];
+    for (let y = 0; y < collisionMap.height; y++) {
+        let start = -1;
+        for (let x = 0; x <= collisionMap.width; x++) {
+            const solid = x < collisionMap.width && collisionMap.data[(y * collisionMap.width + x) * 4 + 3] !== 0;
+            if (solid && start < 0) start = x;
+            if (!solid && start >= 0) {
+                spans.push({ y, start, end: x });
+                start = -1;
+            }
+        }
+    }
+    return spans;
+}
+
+/**
+ * Finds the box around the solid pixels of a collision mask.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} collisionMap RGBA pixels, e.g. ImageData.
+ *        Any non-transparent pixel is solid.
+ * @returns {{x: number, y: number, width: number, height: number}} All 0 if the mask is empty.
+ */
+export function getCollisionBounds(collisionMap) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let y = 0; y < collisionMap.height; y++) {
+        for (let x = 0; x < collisionMap.width; x++) {
+            if (collisionMap.data[(y * collisionMap.width + x) * 4 + 3] === 0) continue;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    if (maxX < minX) return { x: 0, y: 0, width: 0, height: 0 };
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Checks whether a point is inside a Tiled object's shape. Points, polylines and text have no inside.
+ * @param {object} shape A Tiled object: { x, y, width, height, rotation, ellipse?, polygon? }.
+ * @param {number} px
+ * @param {number} py
+ * @returns {boolean}
+ */
+export function isPointInShape(shape, px, py) {
+    // Tiled rotates objects clockwise (in degrees) around their x, y
+    const angle = -(shape.rotation || 0) * Math.PI / 180;
+    const dx = px - shape.x;
+    const dy = py - shape.y;
+    const u = dx * Math.cos(angle) - dy * Math.sin(angle);
+    const v = dx * Math.sin(angle) + dy * Math.cos(angle);
+
+    if (shape.polygon) {
+        let inside = false;
+        const points = shape.polygon;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > v) !== (b.y > v) && u < (b.x - a.x) * (v - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+    }
+    if (shape.point || shape.polyline || shape.text || !shape.width || !shape.height) return false;
+    if (shape.ellipse) {
+        const rx = shape.width / 2;
+        const ry = shape.height / 2;
+        return ((u - rx) / rx) ** 2 + ((v - ry) / ry) ** 2 <= 1;
+    }
+    return u >= 0 && u < shape.width && v >= 0 && v < shape.height;
+}
+
+/**
+ * Gets the box a Tiled object's shape covers, after rotation.
+ * @param {object} shape
+ * @returns {{left: number, top: number, right: number, bottom: number}}
+ */
+export function getShapeBounds(shape) {
+    const corners = shape.polygon || [
+        { x: 0, y: 0 }, { x: shape.width || 0, y: 0 },
+        { x: 0, y: shape.height || 0 }, { x: shape.width || 0, y: shape.height || 0 }
+    ];
+    const angle = (shape.rotation || 0) * Math.PI / 180;
+    const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    for (const corner of corners) {
+        const x = shape.x + corner.x * Math.cos(angle) - corner.y * Math.sin(angle);
+        const y = shape.y + corner.x * Math.sin(angle) + corner.y * Math.cos(angle);
+        bounds.left = Math.min(bounds.left, x);
+        bounds.top = Math.min(bounds.top, y);
+        bounds.right = Math.max(bounds.right, x);
+        bounds.bottom = Math.max(bounds.bottom, y);
+    }
+    return bounds;
+}
+
+/**
+ * Marks the pixels of a box whose centres pass a test as solid.
+ * @param {object} grid
+ * @param {{left: number, top: number, right: number, bottom: number}} bounds In map pixels, clipped to the grid.
+ * @param {Function} isInside (x, y) => boolean, given a pixel centre in map pixels.
+ */
+export function fillCollisionArea(grid, bounds, isInside) {
+    const left = Math.max(0, Math.floor(bounds.left));
+    const top = Math.max(0, Math.floor(bounds.top));
+    const right = Math.min(grid.width, Math.ceil(bounds.right));
+    const bottom = Math.min(grid.height, Math.ceil(bounds.bottom));
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            if (isInside(x + 0.5, y + 0.5)) setCollisionPixel(grid, x, y);
+        }
+    }
+}
+
+/**
+ * Adds a tile's collision shapes to a grid, placed where the tile is drawn.
+ * @param {object} grid
+ * @param {object} map An entry of game.maps.
+ * @param {number} gid The tile's GID, with flip flags.
+ * @param {{x: number, y: number, width: number, height: number}} box Where the tile is drawn, in map pixels.
+ */
+export function addTileCollision(grid, map, gid, box) {
+    const tile = getTileCollision(map, gid);
+    if (!tile) return;
+
+    // Shapes are drawn on the tile's image, so they stretch and flip with it the way drawResolvedTile does
+    const toTile = (x, y) => {
+        let u = (x - box.x) / box.width;
+        let v = (y - box.y) / box.height;
+        if (tile.flipH) u = 1 - u;
+        if (tile.flipV) v = 1 - v;
+        if (tile.flipD) [u, v] = [v, u];
+        return { x: u * tile.width, y: v * tile.height };
+    };
+
+    const bounds = { left: box.x, top: box.y, right: box.x + box.width, bottom: box.y + box.height };
+    fillCollisionArea(grid, bounds, (x, y) => {
+        const point = toTile(x, y);
+        return tile.shapes.some(shape => isPointInShape(shape, point.x, point.y));
+    });
+}
+
+/**
+ * Builds a map's collision grid from its Collision layers and the collision shapes of the tiles placed on it.
+ * Needs the map's tilesets to be loaded.
+ * @param {object} map An entry of game.maps.
+ * @returns {object} The grid, see createCollisionGrid.
+ */
+export function buildCollisionGrid(map) {
+    const { tilewidth, tileheight } = map.mapData;
+    const { width, height } = getMapPixelSize(map);
+    const grid = createCollisionGrid(width, height);
+
+    for (const entry of flattenLayers(map.mapData.layers)) {
+        const { layer, offsetX, offsetY } = entry;
+        const isCollisionLayer = layer.name === 'Collision';
+        // Tiles on other layers only block while they're drawn, and only where they're drawn
+        if (!isCollisionLayer && (!entry.visible || entry.parallaxX !== 1 || entry.parallaxY !== 1)) continue;
+
+        if (layer.type === 'tilelayer' && Array.isArray(layer.data)) {
+            for (let row = 0; row < layer.height; row++) {
+                for (let col = 0; col < layer.width; col++) {
+                    const gid = layer.data[row * layer.width + col];
+                    if (!gid) continue;
+
+                    const cellX = offsetX + col * tilewidth;
+                    const cellY = offsetY + row * tileheight;
+                    if (isCollisionLayer) {
+                        fillCollisionArea(grid, { left: cellX, top: cellY, right: cellX + tilewidth, bottom: cellY + tileheight }, () => true);
+                        continue;
+                    }
+
+                    // Tiles are anchored to the bottom-left of their cell, as in drawTileLayer
+                    const tile = getTileBox(map, gid);
+                    if (!tile) continue;
+                    addTileCollision(grid, map, gid, {
+                        x: cellX + tile.offset.x,
+                        y: cellY + tileheight - tile.rect.height + tile.offset.y,
+                        width: tile.rect.width,
+                        height: tile.rect.height
+                    });
+                }
+            }
+        } else if (layer.type === 'objectgroup') {
+            for (const obj of layer.objects) {
+                if (obj.visible === false) continue;
+
+                if (obj.gid) {
+                    // Tile objects are anchored bottom-left and stretched to their size, as in drawTileObject
+                    const tile = getTileBox(map, obj.gid);
+                    if (!tile) continue;
+                    const objWidth = obj.width || tile.rect.width;
+                    const objHeight = obj.height || tile.rect.height;
+                    addTileCollision(grid, map, obj.gid, {
+                        x: offsetX + obj.x + tile.offset.x,
+                        y: offsetY + obj.y - objHeight + tile.offset.y,
+                        width: objWidth,
+                        height: objHeight
+                    });
+                } else if (isCollisionLayer) {
+                    const shape = { ...obj, x: obj.x + offsetX, y: obj.y + offsetY };
+                    fillCollisionArea(grid, getShapeBounds(shape), (x, y) => isPointInShape(shape, x, y));
+                }
+            }
+        }
+    }
+    return grid;
+}
@@ -0,0 +1,9 @@
+/* The game's simulation, with no DOM, so it runs in the browser (see browser.mjs) and under Node (see node.mjs). */
+
+export * from './tiled.mjs';
+export * from './collision.mjs';
+export * from './world.mjs';
+export * from './clock.mjs';
+export * from './simulation.mjs';
+export * from './pathfinding.mjs';
+export * from './replay.mjs';
@@ -0,0 +1,76 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { resolveRelativePath, parseTsx, parseEmbeddedTileset } from './tiled.mjs';
+import { buildCollisionGrid, getCollisionSpans, getCollisionBounds } from './collision.mjs';
+import { createGame, createMapEntry } from './simulation.mjs';
+
+const { decodePng } = createRequire(import.meta.url)('../tools/png.js');
+
+/* Loads the game from disk for running it under Node, e.g. for replays. Only what the simulation needs is
+   loaded: maps, their tilesets and the player's collision mask. Images are never read. */
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Loads a map's tilesets, sharing external ones with the other maps that use them.
+ * @param {string} root The repo's folder.
+ * @param {object} mapData The Tiled map JSON.
+ * @param {string} mapPath e.g. 'maps/house1.tmj'.
+ * @param {Map<string, object>} tsxCache Tilesets already parsed, keyed by path.
+ * @returns {Array<{firstGid: number, tileset: object}>} Sorted by firstGid.
+ */
+function loadMapTilesets(root, mapData, mapPath, tsxCache) {
+    return mapData.tilesets.map(ts => {
+        if (!ts.source) return { firstGid: ts.firstgid, tileset: parseEmbeddedTileset(ts, mapPath) };
+
+        const tsxPath = resolveRelativePath(mapPath, ts.source);
+        if (!tsxCache.has(tsxPath)) {
+            tsxCache.set(tsxPath, parseTsx(fs.readFileSync(path.join(root, tsxPath), 'utf8'), tsxPath));
+        }
+        return { firstGid: ts.firstgid, tileset: tsxCache.get(tsxPath) };
+    }).sort((a, b) => a.firstGid - b.firstGid);
+}
+
+/**
+ * Loads a map's tilesets and builds its collision grid.
+ * @param {string} root The repo's folder.
+ * @param {string} mapName
+ * @param {object} mapData The Tiled map JSON.
+ * @param {string} mapPath e.g. 'maps/house1.tmj'.
+ * @param {Map<string, object>} [tsxCache] Tilesets already parsed, keyed by path.
+ * @returns {object} An entry for game.maps, see createMapEntry.
+ */
+export function loadMap(root, mapName, mapData, mapPath, tsxCache = new Map()) {
+    const map = createMapEntry(mapName, mapData, mapPath);
+    map.tilesets = loadMapTilesets(root, mapData, mapPath, tsxCache);
+    map.collision = buildCollisionGrid(map);
+    return map;
+}
+
+/**
+ * Loads every map in the manifest and the player, ready to simulate.
+ * @param {string} [root] The repo's folder.
+ * @returns {object} A game from createGame, with the player still to be placed, see applyReplayStart.
+ */
+export function loadGame(root = ROOT) {
+    const readJson = (relativePath) => JSON.parse(fs.readFileSync(path.join(root, relativePath), 'utf8'));
+    const game = createGame();
+    game.mapManifest = readJson('data/maps.json');
+
+    const tsxCache = new Map();
+    for (const [mapName, entry] of Object.entries(game.mapManifest)) {
+        game.maps[mapName] = loadMap(root, mapName, readJson(entry.path), entry.path, tsxCache);
+    }
+
+    // The same sprite size and mask the browser uses, see loadAssets in script.js
+    const { player } = game;
+    const sheet = readJson('characters/duck.json');
+    const mask = decodePng(path.join(root, 'collision/duck.png'));
+    player.width = sheet.frameWidth;
+    player.height = sheet.frameHeight;
+    player.collisionBounds = getCollisionBounds(mask);
+    player.collisionSpans = getCollisionSpans(mask);
+    return game;
+}
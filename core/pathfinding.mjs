@@ -0,0 +1,236 @@
+import { getMapPixelSize } from './tiled.mjs';
+import { checkWallCollision } from './simulation.mjs';
+
+export const PATH_SEARCH_LIMIT = 50000; // Positions looked at before giving up and heading for the nearest one found
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/* Paths for walking the player somewhere, e.g. where the screen was tapped. A* searches every position
+   the player could stand at on their map, a pixel apart, and a position is clear when checkWallCollision
+   says so, so the whole collision mask counts and a path never goes where walking wouldn't. Paths stay on
+   the player's map: the middle of their feet never crosses its edge (see findWorldEdgeCrossing).
+
+   The pixel path is then smoothed into straight lines between waypoints, see smoothPath, and walked one
+   tick at a time by feeding followPath's direction to movePlayer like any other input. */
+
+/**
+ * Gets the positions that put the middle of the player's feet on a map pixel.
+ * @param {object} player
+ * @param {number} x The pixel.
+ * @param {number} y
+ * @returns {{x: number, y: number, width: number, height: number}} A box of player positions, see findPath.
+ */
+export function getPointGoal(player, x, y) {
+    const bounds = player.collisionBounds;
+    return {
+        x: Math.round(x + 0.5 - bounds.x - bounds.width / 2),
+        y: Math.round(y + 0.5 - bounds.y - bounds.height / 2),
+        width: 1,
+        height: 1
+    };
+}
+
+/**
+ * Gets the positions where the player is in range of a Tiled object, see isInRange in simulation.mjs.
+ * @param {object} player
+ * @param {object} obj The Tiled object.
+ * @returns {{x: number, y: number, width: number, height: number}} A box of player positions, see findPath.
+ */
+export function getObjectGoal(player, obj) {
+    const left = Math.floor(obj.x - player.width) + 1;
+    const top = Math.floor(obj.y - player.height) + 1;
+    return {
+        x: left,
+        y: top,
+        width: Math.max(1, Math.ceil(obj.x + obj.width) - left),
+        height: Math.max(1, Math.ceil(obj.y + obj.height) - top)
+    };
+}
+
+/**
+ * Gets the shortest walk from a position to a goal box with nothing in the way, moving in 8 directions.
+ * @returns {number}
+ */
+function getGoalDistance(goal, x, y) {
+    const dx = Math.max(goal.x - x, 0, x - (goal.x + goal.width - 1));
+    const dy = Math.max(goal.y - y, 0, y - (goal.y + goal.height - 1));
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+}
+
+/**
+ * Checks whether the player can walk in a straight line between two positions. Every pixel the line steps
+ * through must be clear, and where it steps diagonally both ways round the corner must be too, as
+ * movePlayer moves along one axis and then the other.
+ * @param {object} game
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {boolean}
+ */
+export function canWalkStraight(game, from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const steps = Math.max(Math.abs(dx), Math.abs(dy));
+    let { x, y } = from;
+    for (let i = 1; i <= steps; i++) {
+        const nextX = Math.round(from.x + dx * i / steps);
+        const nextY = Math.round(from.y + dy * i / steps);
+        if (checkWallCollision(game, nextX, nextY)) return false;
+        if (nextX !== x && nextY !== y && (checkWallCollision(game, nextX, y) || checkWallCollision(game, x, nextY))) return false;
+        x = nextX;
+        y = nextY;
+    }
+    return true;
+}
+
+/**
+ * Cuts the corners off a pixel path, keeping only the waypoints where it has to turn.
+ * @param {object} game
+ * @param {Array<{x: number, y: number}>} points Clear positions, each next to the last.
+ * @returns {Array<{x: number, y: number}>} Starting with the same first point.
+ */
+export function smoothPath(game, points) {
+    const smoothed = points.slice(0, 1);
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+        let next = anchor + 1;
+        while (next + 1 < points.length && canWalkStraight(game, points[anchor], points[next + 1])) next++;
+        smoothed.push(points[next]);
+        anchor = next;
+    }
+    return smoothed;
+}
+
+/**
+ * Finds a way for the player to walk from where they are to a goal on their map. If the goal can't be
+ * reached (it's inside a wall, or shut off), the path goes as near to it as the player can get.
+ * @param {object} game
+ * @param {{x: number, y: number, width: number, height: number}} goal Player positions that count as
+ *        arriving, see getPointGoal and getObjectGoal.
+ * @returns {Array<{x: number, y: number}>|null} Waypoints to walk to in turn, not including where the player
+ *          is. Empty if they're already as near as they can get; null if they aren't on a loaded map.
+ */
+export function findPath(game, goal) {
+    const { player } = game;
+    const map = game.maps[player.location];
+    if (!map || !map.collision) return null;
+
+    // Positions that keep the middle of the player's feet on the map
+    const { width, height } = getMapPixelSize(map);
+    const feetX = player.collisionBounds.x + player.collisionBounds.width / 2;
+    const feetY = player.collisionBounds.y + player.collisionBounds.height / 2;
+    const minX = Math.ceil(-feetX);
+    const minY = Math.ceil(-feetY);
+    const columns = Math.ceil(width - feetX) - minX;
+    const rows = Math.ceil(height - feetY) - minY;
+    const inBounds = (x, y) => x >= minX && x < minX + columns && y >= minY && y < minY + rows;
+
+    const startX = Math.round(player.x);
+    const startY = Math.round(player.y);
+    if (!inBounds(startX, startY)) return null;
+
+    const index = (x, y) => (y - minY) * columns + (x - minX);
+    const clear = new Int8Array(columns * rows); // 0 not checked yet, 1 clear, -1 blocked
+    const isClear = (x, y) => {
+        if (!inBounds(x, y)) return false;
+        const i = index(x, y);
+        if (clear[i] === 0) clear[i] = checkWallCollision(game, x, y) ? -1 : 1;
+        return clear[i] === 1;
+    };
+
+    const cost = new Float64Array(columns * rows).fill(Infinity);
+    const cameFrom = new Int32Array(columns * rows).fill(-1);
+    const closed = new Uint8Array(columns * rows);
+
+    // A binary heap of [estimated total cost, index], cheapest first
+    const open = [];
+    const push = (node) => {
+        let i = open.push(node) - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (open[parent][0] <= open[i][0]) break;
+            [open[parent], open[i]] = [open[i], open[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = open[0];
+        const last = open.pop();
+        if (open.length) {
+            open[0] = last;
+            for (let i = 0; ;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < open.length && open[left][0] < open[smallest][0]) smallest = left;
+                if (right < open.length && open[right][0] < open[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [open[smallest], open[i]] = [open[i], open[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    const startIndex = index(startX, startY);
+    cost[startIndex] = 0;
+    push([getGoalDistance(goal, startX, startY), startIndex]);
+    let nearest = { index: startIndex, distance: getGoalDistance(goal, startX, startY) };
+    let searched = 0;
+
+    while (open.length && searched < PATH_SEARCH_LIMIT) {
+        const [, current] = pop();
+        if (closed[current]) continue;
+        closed[current] = 1;
+        searched++;
+
+        const x = minX + current % columns;
+        const y = minY + Math.floor(current / columns);
+        const distance = getGoalDistance(goal, x, y);
+        if (distance < nearest.distance || (distance === nearest.distance && cost[current] < cost[nearest.index])) {
+            nearest = { index: current, distance };
+        }
+        if (distance === 0) break;
+
+        for (const [dx, dy] of NEIGHBOURS) {
+            const nextX = x + dx;
+            const nextY = y + dy;
+            if (!isClear(nextX, nextY)) continue;
+            // No cutting corners, see canWalkStraight
+            const diagonal = dx !== 0 && dy !== 0;
+            if (diagonal && (!isClear(x + dx, y) || !isClear(x, y + dy))) continue;
+
+            const next = index(nextX, nextY);
+            const nextCost = cost[current] + (diagonal ? Math.SQRT2 : 1);
+            if (nextCost >= cost[next]) continue;
+            cost[next] = nextCost;
+            cameFrom[next] = current;
+            push([nextCost + getGoalDistance(goal, nextX, nextY), next]);
+        }
+    }
+
+    const points = [];
+    for (let i = nearest.index; i !== -1; i = cameFrom[i]) {
+        points.push({ x: minX + i % columns, y: minY + Math.floor(i / columns) });
+    }
+    points.reverse();
+    return smoothPath(game, points).slice(1);
+}
+
+/**
+ * Gets which way to walk this tick to follow a path, dropping the waypoints the player has reached.
+ * Slows down for the last pixel so they stop on the waypoint rather than past it.
+ * @param {object} game
+ * @param {Array<{x: number, y: number}>} path From findPath. Waypoints are removed as they're reached.
+ * @param {number} dt The tick length in seconds.
+ * @returns {{x: number, y: number}|null} A move for movePlayer, or null once the path is done.
+ */
+export function followPath(game, path, dt) {
+    const { player } = game;
+    while (path.length && Math.round(player.x) === path[0].x && Math.round(player.y) === path[0].y) path.shift();
+    if (!path.length) return null;
+
+    const dx = path[0].x - player.x;
+    const dy = path[0].y - player.y;
+    const scale = Math.max(Math.hypot(dx, dy), player.terminalVel * dt);
+    return { x: dx / scale, y: dy / scale };
+}
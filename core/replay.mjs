@@ -0,0 +1,208 @@
+import { getProperties } from './tiled.mjs';
+import { advanceClock } from './clock.mjs';
+import {
+    getSpawnPoint, addItem, getInteractableSequence, getTeleportDestination, updatePlayer, placePlayer,
+    teleportPlayer, startRebound, updateRebound, findWorldEdgeCrossing, crossIntoMap
+} from './simulation.mjs';
+
+export const REPLAY_VERSION = 1;
+
+/* A replay is a recording of the player's input, tick by tick, that can be played back against the
+   simulation without a browser, to check the player still ends up where they did. Record one in the
+   browser with the debug console's `record` command and run them with tools/replay.js.
+{
+    version: REPLAY_VERSION,
+    tickRate: Ticks per second,
+    start: {
+        location, x, y, facing: Where the player starts. Without x and y, they start at the map's spawn point,
+        xVel, yVel, xRemainder, yRemainder, rebound: How they were moving, optional,
+        mapStates, flags, inventory, time: As in a save, optional
+    },
+    input: [
+        { ticks, move: [x, y], interact?, target? } Walking with the move axis held for this many ticks, -1 to 1
+                                            on each. interact is pressed on the first tick only, on the
+                                            interactable with the id target if there is one, see updatePlayer.
+        { ticks, blocked: true } Ticks the player couldn't move: reading, in a script, or while the screen changes.
+    ],
+    expect: { location, x, y, facing? } Where the player should be at the end.
+}
+   Doors, move and moveRebound interactables, item pickups and walking between the maps of a world play
+   out the way they do in the browser. Dialogue, scripts, triggers and NPCs aren't simulated: their
+   blocked ticks are replayed, but anything a script does to the player isn't, so replays should keep clear
+   of them. */
+
+/**
+ * Copies what a replay needs to start from where the game is now.
+ * @param {object} game
+ * @returns {object} The replay's `start`.
+ */
+export function captureReplayStart(game) {
+    const { player } = game;
+    return {
+        location: player.location,
+        x: player.x,
+        y: player.y,
+        facing: player.facing,
+        xVel: player.xVel,
+        yVel: player.yVel,
+        xRemainder: player.xRemainder,
+        yRemainder: player.yRemainder,
+        rebound: player.rebound && { ...player.rebound },
+        mapStates: structuredClone(game.mapStates),
+        flags: { ...game.flags },
+        inventory: { ...game.inventory },
+        time: game.time
+    };
+}
+
+/**
+ * Starts a recording from where the game is now.
+ * @param {object} game
+ * @param {number} tickRate Ticks per second.
+ * @returns {object} A replay with no input yet, see recordTick.
+ */
+export function createRecording(game, tickRate) {
+    return { version: REPLAY_VERSION, tickRate, start: captureReplayStart(game), input: [], expect: null };
+}
+
+/**
+ * Adds a tick of input to a recording, running it on from the last tick if it's the same.
+ * @param {object} recording From createRecording.
+ * @param {{move?: {x: number, y: number}, interact?: boolean, target?: object, blocked?: boolean}} input
+ */
+export function recordTick(recording, input) {
+    const entry = input.blocked
+        ? { ticks: 1, blocked: true }
+        : { ticks: 1, move: [input.move.x, input.move.y], ...(input.interact ? { interact: true } : {}) };
+    if (entry.interact && input.target) entry.target = input.target.id;
+    const last = recording.input[recording.input.length - 1];
+    const same = last && !entry.interact && Boolean(last.blocked) === Boolean(entry.blocked) &&
+        (entry.blocked || (last.move[0] === entry.move[0] && last.move[1] === entry.move[1]));
+    if (same) last.ticks++;
+    else recording.input.push(entry);
+}
+
+/**
+ * Ends a recording where the player is now.
+ * @param {object} recording From createRecording.
+ * @param {object} game
+ * @returns {object} The finished replay.
+ */
+export function finishRecording(recording, game) {
+    const { player } = game;
+    recording.expect = { location: player.location, x: player.x, y: player.y, facing: player.facing };
+    return recording;
+}
+
+/**
+ * Puts the game where a replay starts.
+ * @param {object} game With the replay's maps loaded.
+ * @param {object} start The replay's `start`.
+ */
+export function applyReplayStart(game, start) {
+    const { player } = game;
+    const map = game.maps[start.location];
+    if (!map) throw new Error(`Replay starts on map "${start.location}", which isn't loaded.`);
+
+    const position = start.x === undefined ? getSpawnPoint(map) : start;
+    if (!position) throw new Error(`Map "${start.location}" has no spawn point to start from.`);
+    player.location = start.location;
+    placePlayer(player, position.x, position.y);
+    player.facing = start.facing || position.facing || player.facing;
+    player.xVel = start.xVel || 0;
+    player.yVel = start.yVel || 0;
+    player.xRemainder = start.xRemainder || 0;
+    player.yRemainder = start.yRemainder || 0;
+    player.rebound = start.rebound ? { ...start.rebound } : null;
+    player.aboveForeground = Boolean(player.rebound);
+
+    game.mapStates = structuredClone(start.mapStates || {});
+    game.flags = { ...start.flags };
+    game.inventory = { ...start.inventory };
+    if (start.time !== undefined) game.time = start.time;
+}
+
+// The steps of an interactable's sequence that move the player or change what they hold, done at once with the
+// same core calls as their actions in scripts.js. The rest (sounds, dialogue, saving) don't affect where they end up
+const REPLAYED_STEPS = {
+    teleport(game, step) {
+        const mapName = step.map || game.player.location;
+        if (!game.maps[mapName]) throw new Error(`Teleport to map "${mapName}", which isn't loaded.`);
+        const destination = getTeleportDestination(game, mapName, step);
+        if (!destination) throw new Error(`Spawn point "${step.spawn}" not found on "${mapName}".`);
+        teleportPlayer(game, mapName, destination);
+    },
+    moveRebound(game, step) {
+        startRebound(game.player, step.x, step.y, step.ms);
+    },
+    collectItem(game, step) {
+        addItem(game, step.itemId, step.count ?? 1);
+    }
+};
+
+/**
+ * Advances the simulation by one tick, in the same order as update in script.js.
+ * @param {object} game
+ * @param {{move?: {x: number, y: number}, interact?: boolean, target?: object, blocked?: boolean}} input
+ * @param {number} dt The tick length in seconds.
+ */
+export function tick(game, input, dt) {
+    const { player } = game;
+    advanceClock(game, dt);
+    if (player.rebound) updateRebound(player, player.rebound, dt); // The browser's moveRebound step does this
+
+    const { interactable, used } = updatePlayer(game, input, dt);
+    const props = used ? getProperties(interactable) || {} : null;
+    if (props && props.type !== 'script') {
+        for (const step of getInteractableSequence(game, props, interactable) || []) {
+            if (REPLAYED_STEPS[step.action]) REPLAYED_STEPS[step.action](game, step);
+        }
+    }
+
+    const mapName = findWorldEdgeCrossing(game);
+    if (mapName) crossIntoMap(game, mapName);
+}
+
+/**
+ * Finds an interactable on the player's map by its Tiled id.
+ * @param {object} game
+ * @param {number} id
+ * @returns {object} The Tiled object.
+ */
+function findInteractable(game, id) {
+    const { location } = game.player;
+    const layer = game.maps[location].interactablesLayer;
+    const obj = layer && layer.objects.find(candidate => candidate.id === id);
+    if (!obj) throw new Error(`Replay uses interactable ${id}, which isn't on "${location}".`);
+    return obj;
+}
+
+/**
+ * Plays a replay back and checks where the player ends up.
+ * @param {object} game With every map the replay visits loaded, see loadGame in node.mjs.
+ * @param {object} replay
+ * @returns {{passed: boolean, expected: object, actual: object, ticks: number}}
+ */
+export function runReplay(game, replay) {
+    if (replay.version !== REPLAY_VERSION) throw new Error(`Replay version ${replay.version} isn't supported.`);
+
+    applyReplayStart(game, replay.start);
+    const dt = 1 / replay.tickRate;
+    let ticks = 0;
+    for (const entry of replay.input) {
+        const move = entry.move ? { x: entry.move[0], y: entry.move[1] } : { x: 0, y: 0 };
+        for (let i = 0; i < entry.ticks; i++) {
+            const interact = Boolean(entry.interact) && i === 0;
+            const target = interact && entry.target !== undefined ? findInteractable(game, entry.target) : undefined;
+            tick(game, { move, interact, target, blocked: Boolean(entry.blocked) }, dt);
+            ticks++;
+        }
+    }
+
+    const { player } = game;
+    const { expect } = replay;
+    const actual = { location: player.location, x: player.x, y: player.y, facing: player.facing };
+    const passed = actual.location === expect.location && actual.x === expect.x && actual.y === expect.y &&
+        (!expect.facing || actual.facing === expect.facing);
+    return { passed, expected: expect, actual, ticks };
+}
@@ -0,0 +1,634 @@
+import { getProperties, getMapPixelSize } from './tiled.mjs';
+import { isCollisionSpanSolid } from './collision.mjs';
+import { getWorldRect, getWorldOffset, findWorldMapAt, isWorldPixelSolid } from './world.mjs';
+import { NEW_GAME_TIME, getTimePeriod } from './clock.mjs';
+
+export const PLAYER_CORNER_TOLERANCE = 3; // px the player is nudged sideways to slip round a corner or along a slope
+export const INTERACT_BEHIND_DISTANCE = 8; // px added to how far away interactables behind the player are, so the one they face wins
+
+const undef = (obj) => obj === null || obj === undefined;
+
+/* The simulation: the player walking into walls and using what they bump into, with no DOM, canvas or
+   audio, so it runs the same in the browser and under Node (see node.mjs and replay.mjs). Everything it
+   needs is on a game object from createGame; the browser adds its own things to the same object.
+
+   Each map in game.maps needs at least the fields from createMapEntry, with its tilesets and collision grid
+   filled in once they've loaded. */
+
+/**
+ * Creates the player. The collision fields come from its mask, see getCollisionSpans and getCollisionBounds.
+ * @returns {object}
+ */
+export function createPlayer() {
+    return {
+        x: 0,
+        y: 0,
+        prevX: 0, // Position at the previous tick, for interpolation
+        prevY: 0,
+        xVel: 0, // px/s
+        yVel: 0, // px/s
+        xRemainder: 0, // Movement of less than a pixel, saved up until it adds up to one, see movePlayerAxis
+        yRemainder: 0,
+        acc: 3600, // px/s²
+        terminalVel: 60, // px/s
+        facing: 'left',
+        location: '',
+        aboveForeground: false, // used in moveRebound interactables
+        rebound: null, // { x, y, facing, remaining } to return to when a moveRebound ends, see startRebound
+        noclip: false, // Walks through walls, see debug.js
+        width: 0, // Sprite size
+        height: 0,
+        collisionBounds: { x: 0, y: 0, width: 0, height: 0 },
+        collisionSpans: []
+    };
+}
+
+/**
+ * Creates the state the simulation works on.
+ * @param {object} [player] From createPlayer.
+ * @returns {object}
+ */
+export function createGame(player = createPlayer()) {
+    return {
+        player,
+        mapManifest: null, // Every map the game can load, keyed by map name, from data/maps.json
+        maps: {}, // Loaded maps keyed by map name, e.g., 'house1'
+        mapStates: {}, // Saved per-map state keyed by map name, see getMapState
+        flags: {}, // Story flags, saved with the game
+        inventory: {}, // How many of each item the player holds, keyed by item id. Saved with the game
+        time: NEW_GAME_TIME // In-game minutes since midnight, saved with the game, see clock.mjs
+    };
+}
+
+/**
+ * Reads what the simulation needs from a Tiled map. The tilesets and collision grid are left for the
+ * caller to load, see buildCollisionGrid.
+ * @param {string} mapName
+ * @param {object} mapData The Tiled map JSON.
+ * @param {string} path The map file's path, which its tilesets and images are relative to.
+ * @returns {object}
+ */
+export function createMapEntry(mapName, mapData, path) {
+    const map = {
+        name: mapName,
+        mapData,
+        path,
+        properties: getProperties(mapData) || {},
+        spawns: {},
+        currentInteractable: null,
+        tilesets: [],
+        collision: null,
+        interactablesLayer: null,
+        triggersLayer: null,
+        activeTriggers: new Set()
+    };
+
+    for (const layer of mapData.layers) {
+        if (layer.name === "Interactables") map.interactablesLayer = layer;
+        if (layer.name === "Triggers" && layer.type === "objectgroup") map.triggersLayer = layer;
+        if (layer.name === "Spawns" && layer.type === "objectgroup") {
+            for (const obj of layer.objects) {
+                map.spawns[obj.name] = { x: obj.x, y: obj.y, facing: (getProperties(obj) || {}).facing };
+            }
+        }
+    }
+    return map;
+}
+
+/**
+ * Finds a spawn point on a map.
+ * @param {object} map An entry of game.maps.
+ * @param {string} [name] Defaults to the map's `spawn` property.
+ * @returns {{x: number, y: number, facing?: string}|null}
+ */
+export function getSpawnPoint(map, name = map.properties.spawn) {
+    return map.spawns[name] || null;
+}
+
+// --- STATE ---
+
+export const hasItem = (game, itemId) => (game.inventory[itemId] || 0) > 0;
+
+/**
+ * Gives the player an item.
+ * @param {object} game
+ * @param {string} itemId
+ * @param {number} [count=1]
+ */
+export function addItem(game, itemId, count = 1) {
+    game.inventory[itemId] = (game.inventory[itemId] || 0) + count;
+}
+
+/**
+ * Takes an item from the player, forgetting it entirely once none are left.
+ * @param {object} game
+ * @param {string} itemId
+ * @param {number} [count=1]
+ * @returns {boolean} False if the player didn't have enough.
+ */
+export function removeItem(game, itemId, count = 1) {
+    if ((game.inventory[itemId] || 0) < count) return false;
+
+    game.inventory[itemId] -= count;
+    if (game.inventory[itemId] === 0) delete game.inventory[itemId];
+    return true;
+}
+
+/**
+ * Gets the saved state of a map, creating it if needed.
+ * @param {object} game
+ * @param {string} mapName
+ * @returns {{triggered: number[]}} `triggered` holds the ids of interactables the player has used.
+ */
+export function getMapState(game, mapName) {
+    if (!game.mapStates[mapName]) {
+        game.mapStates[mapName] = { triggered: [] };
+    }
+    return game.mapStates[mapName];
+}
+
+/**
+ * Records that the player has used an interactable.
+ * @param {object} game
+ * @param {string} mapName
+ * @param {object} obj The Tiled object.
+ */
+export function markTriggered(game, mapName, obj) {
+    const state = getMapState(game, mapName);
+    if (!state.triggered.includes(obj.id)) state.triggered.push(obj.id);
+}
+
+/**
+ * Evaluates a condition from a script or a Tiled object.
+ * @param {object} game
+ * @param {object} condition
+ * @returns {boolean}
+ */
+export function checkCondition(game, condition) {
+    if (condition.not) return !checkCondition(game, condition.not);
+    if (!undef(condition.item)) return hasItem(game, condition.item);
+    if (!undef(condition.time)) return getTimePeriod(game) === condition.time;
+    if (!undef(condition.flag)) {
+        const value = game.flags[condition.flag];
+        return undef(condition.equals) ? Boolean(value) : value === condition.equals;
+    }
+    return true;
+}
+
+/**
+ * Checks the conditions a Tiled object can have: `requiresFlag` must be set and `unlessFlag` must not be,
+ * and it must be the part of the day named by `requiresTime`, if it has one.
+ * @param {object} game
+ * @param {object} props The object's properties.
+ * @returns {boolean}
+ */
+export function checkObjectConditions(game, props) {
+    if (props.requiresFlag && !game.flags[props.requiresFlag]) return false;
+    if (props.unlessFlag && game.flags[props.unlessFlag]) return false;
+    if (props.requiresTime && getTimePeriod(game) !== props.requiresTime) return false;
+    return true;
+}
+
+/**
+ * Checks whether an interactable or trigger can be used right now: it isn't switched off with `enabled`
+ * set to false, its flag conditions hold, and it hasn't already been used if it only works once (`once`,
+ * or `oneShot`, which means the same; items only ever work once).
+ * @param {object} game
+ * @param {string} mapName
+ * @param {object} obj The Tiled object.
+ */
+export function isObjectAvailable(game, mapName, obj) {
+    const props = getProperties(obj) || {};
+    if (props.enabled === false || !checkObjectConditions(game, props)) return false;
+
+    const once = props.once === true || props.oneShot === true || props.type === 'item';
+    return !(once && getMapState(game, mapName).triggered.includes(obj.id));
+}
+
+// --- COLLISION & INTERACTION ---
+
+/**
+ * Checks for collision against the walls of the map an entity is on, a row of its collision mask at a time.
+ * @param {object} game
+ * @param {number} entityX The entity's target X coordinate.
+ * @param {number} entityY The entity's target Y coordinate.
+ * @param {object} [entity=game.player] The player or an NPC, with collisionSpans.
+ * @returns {boolean} True if a solid collision occurs.
+ */
+export function checkWallCollision(game, entityX, entityY, entity = game.player) {
+    const currentMap = game.maps[entity.location];
+    if (!currentMap || !currentMap.collision || entity.noclip) return false;
+
+    const isPlayer = entity === game.player;
+    const grid = currentMap.collision;
+    const left = Math.round(entityX);
+    const top = Math.round(entityY);
+    for (const span of entity.collisionSpans) {
+        const mapY = top + span.y;
+        const start = left + span.start;
+        const end = left + span.end;
+        const rowOnMap = mapY >= 0 && mapY < grid.height;
+
+        const clippedStart = Math.max(0, start);
+        const clippedEnd = Math.min(grid.width, end);
+        if (rowOnMap && clippedStart < clippedEnd && isCollisionSpanSolid(grid, mapY, clippedStart, clippedEnd)) return true;
+        if (rowOnMap && start >= 0 && end <= grid.width) continue;
+
+        // The player can walk over the edge onto the next map of a world; anywhere else the edge is a wall
+        if (!isPlayer) return true;
+        for (let mapX = start; mapX < end; mapX++) {
+            const offMap = !rowOnMap || mapX < 0 || mapX >= grid.width;
+            if (offMap && isWorldPixelSolid(game, entity.location, mapX, mapY)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Gets how far an interactable is from the middle of the player's feet, to its nearest edge, as far as
+ * choosing between interactables goes: ones behind the player count as INTERACT_BEHIND_DISTANCE further.
+ * @param {object} player
+ * @param {object} obj The Tiled object.
+ * @returns {number} In px.
+ */
+export function getInteractableDistance(player, obj) {
+    const bounds = player.collisionBounds;
+    const feetX = player.x + bounds.x + bounds.width / 2;
+    const feetY = player.y + bounds.y + bounds.height / 2;
+    const dx = Math.max(obj.x - feetX, 0, feetX - (obj.x + obj.width));
+    const dy = Math.max(obj.y - feetY, 0, feetY - (obj.y + obj.height));
+
+    const centreX = obj.x + obj.width / 2;
+    const behind = (player.facing === 'left' && centreX > feetX) || (player.facing === 'right' && centreX < feetX);
+    return Math.hypot(dx, dy) + (behind ? INTERACT_BEHIND_DISTANCE : 0);
+}
+
+/**
+ * Orders interactables by which the player would sooner use: the highest `priority` first (0 if it has none),
+ * then the nearest, see getInteractableDistance. Sorting is stable, so ties keep their order on the layer.
+ * @param {object} player
+ * @param {object} a A Tiled object.
+ * @param {object} b
+ * @returns {number} Negative if a comes first, as for Array.prototype.sort.
+ */
+export function compareInteractables(player, a, b) {
+    const getPriority = (obj) => {
+        const { priority } = getProperties(obj) || {};
+        return typeof priority === 'number' ? priority : 0;
+    };
+    return getPriority(b) - getPriority(a) || getInteractableDistance(player, a) - getInteractableDistance(player, b);
+}
+
+/**
+ * Checks whether the player is close enough to use an interactable: their box overlaps it.
+ * @param {object} player
+ * @param {object} obj The Tiled object.
+ * @returns {boolean}
+ */
+export function isInRange(player, obj) {
+    return player.x < obj.x + obj.width &&
+        player.x + player.width > obj.x &&
+        player.y < obj.y + obj.height &&
+        player.y + player.height > obj.y;
+}
+
+/**
+ * Finds what the player would use by pressing interact: the first of the interactables in range, see
+ * compareInteractables. Remembers it as the map's currentInteractable.
+ * @param {object} game
+ * @returns {object|null} The Tiled object.
+ */
+export function checkInteractables(game) {
+    const p = game.player;
+    const currentMap = game.maps[p.location];
+    if (!currentMap) return null;
+
+    const objects = currentMap.interactablesLayer ? currentMap.interactablesLayer.objects : [];
+    const candidates = objects.filter(obj => isObjectAvailable(game, p.location, obj) && isInRange(p, obj));
+    const best = candidates.sort((a, b) => compareInteractables(p, a, b))[0] || null;
+    currentMap.currentInteractable = best;
+    return best;
+}
+
+/**
+ * Uses up what an interactable asks for before it does anything. Once unlocked, an interactable stays
+ * unlocked even if the item was used up.
+ * @param {object} game
+ * @param {object} obj The Tiled object, on the player's map.
+ * @returns {boolean} False if it's locked and the player doesn't have its `requiresItem`.
+ */
+export function useInteractable(game, obj) {
+    const { requiresItem, consumeItem } = getProperties(obj) || {};
+    const mapName = game.player.location;
+    const unlocked = getMapState(game, mapName).triggered.includes(obj.id);
+    if (requiresItem && !unlocked) {
+        if (!hasItem(game, requiresItem)) return false;
+        if (consumeItem) removeItem(game, requiresItem);
+    }
+
+    markTriggered(game, mapName, obj);
+    return true;
+}
+
+/**
+ * Builds the sequence an interactable runs, from its type and properties. The browser runs every step, see
+ * scripts.js; replays only the ones that move the player or change what they hold, see replay.mjs.
+ * Interactables of type `script` run a named sequence from data/scripts.json.
+ * @param {object} game
+ * @param {object} props The interactable's properties, already checked by verifyInteractable.
+ * @param {object} [obj] The interactable's Tiled object, so sounds can come from where it is.
+ * @returns {Array<object>|null}
+ */
+export function getInteractableSequence(game, props, obj) {
+    const { type, destinationMap, destinationX: x, destinationY: y } = props;
+
+    if (type === 'door') {
+        const transition = props.transition || 'fade';
+        // Slides go the way the player is walking unless the door says otherwise
+        const direction = props.transitionDirection || { left: 'left', right: 'right', forward: 'down' }[game.player.facing];
+        return [
+            obj
+                ? { action: 'playSound', sound: 'door', x: obj.x + (obj.width || 0) / 2, y: obj.y + (obj.height || 0) / 2 }
+                : { action: 'playSound', sound: 'door' },
+            { action: 'teleport', map: destinationMap, x, y, spawn: props.destinationSpawn, transition, direction },
+            { action: 'save' }
+        ];
+    }
+    if (type === 'dialogue') return [{ action: 'showText', dialogueId: props.dialogueId }];
+    if (type === 'move') return [{ action: 'teleport', x, y }];
+    if (type === 'moveRebound') return [{ action: 'moveRebound', x, y, ms: props.reboundTime }];
+    if (type === 'item') return [{ action: 'collectItem', ...props }];
+    if (type === 'script') return game.scripts[props.sequence];
+
+    console.warn(`Unknown interactable type: ${type}`);
+    return null;
+}
+
+/**
+ * Works out where a teleport step puts the player: at its spawn point, or at its x and y.
+ * @param {object} game
+ * @param {string} mapName The step's map, loaded.
+ * @param {{spawn?: string, x?: number, y?: number, facing?: string}} step
+ * @returns {{x: number, y: number, facing?: string}|null} null if the spawn point doesn't exist.
+ */
+export function getTeleportDestination(game, mapName, step) {
+    const destination = step.spawn ? getSpawnPoint(game.maps[mapName], step.spawn) : { x: step.x, y: step.y };
+    if (!destination) return null;
+    return { ...destination, facing: step.facing || destination.facing };
+}
+
+/**
+ * Advances the player by one tick of input, the same way in the browser and in replays: they stand still
+ * while blocked, use what they're touching if interact is pressed, and otherwise walk.
+ * @param {object} game
+ * @param {{move?: {x: number, y: number}, interact?: boolean, target?: object, blocked?: boolean}} input
+ *     target is the interactable to use rather than the one checkInteractables picks, e.g. one that was
+ *     clicked. It's only used if it's in range and available.
+ * @param {number} dt The tick length in seconds.
+ * @param {Function} [canUse] (obj) => boolean, asked before an interactable is used, e.g. to check its properties.
+ * @returns {{interactable: object|null, used: boolean, locked: boolean}} What the player is touching, and
+ *     whether they used it or found it locked. Run the sequence of one that was used, see getInteractableSequence.
+ */
+export function updatePlayer(game, input, dt, canUse = () => true) {
+    const result = { interactable: null, used: false, locked: false };
+    if (input.blocked) {
+        stopPlayer(game.player);
+        return result;
+    }
+
+    const best = checkInteractables(game);
+    const { player } = game;
+    const { target } = input;
+    const targetUsable = target && isInRange(player, target) && isObjectAvailable(game, player.location, target);
+    result.interactable = targetUsable ? target : best;
+    // The player doesn't walk on the tick they use something, so it can move them without a fight
+    if (input.interact && result.interactable) {
+        if (canUse(result.interactable)) {
+            result.used = useInteractable(game, result.interactable);
+            result.locked = !result.used;
+        }
+        return result;
+    }
+
+    movePlayer(game, input.move, dt);
+    return result;
+}
+
+// --- MOVEMENT ---
+
+/**
+ * Moves the player instantly, without interpolating from the old position.
+ * @param {object} player
+ * @param {number} x The new X coordinate.
+ * @param {number} y The new Y coordinate.
+ */
+export function placePlayer(player, x, y) {
+    player.x = player.prevX = x;
+    player.y = player.prevY = y;
+    stopPlayer(player);
+}
+
+/**
+ * Stops the player where they are, e.g. while they can't move.
+ * @param {object} player
+ */
+export function stopPlayer(player) {
+    player.xVel = 0;
+    player.yVel = 0;
+    player.xRemainder = 0;
+    player.yRemainder = 0;
+}
+
+/**
+ * Puts the player on another map, or somewhere else on the same one.
+ * @param {object} game
+ * @param {string} mapName A loaded map.
+ * @param {{x: number, y: number, facing?: string}} destination
+ */
+export function teleportPlayer(game, mapName, { x, y, facing }) {
+    game.player.location = mapName;
+    placePlayer(game.player, x, y);
+    if (facing) game.player.facing = facing;
+}
+
+/**
+ * Puts the player on something (like a bed) above the foreground, facing forward, until updateRebound puts them back.
+ * @param {object} player
+ * @param {number} x
+ * @param {number} y
+ * @param {number} ms How long to stay there.
+ * @returns {object} The rebound, also kept as player.rebound until it ends.
+ */
+export function startRebound(player, x, y, ms) {
+    const rebound = { x: player.x, y: player.y, facing: player.facing, remaining: ms };
+    player.rebound = rebound;
+    placePlayer(player, x, y);
+    player.facing = 'forward';
+    player.aboveForeground = true;
+    return rebound;
+}
+
+/**
+ * Counts down a rebound, putting the player back where they were once it ends, unless something has
+ * moved them since (e.g. loading a save).
+ * @param {object} player
+ * @param {object} rebound From startRebound.
+ * @param {number} dt The tick length in seconds.
+ * @returns {boolean} True once it has ended.
+ */
+export function updateRebound(player, rebound, dt) {
+    rebound.remaining -= dt * 1000;
+    if (rebound.remaining > 0) return false;
+
+    if (player.rebound === rebound) {
+        placePlayer(player, rebound.x, rebound.y);
+        player.facing = rebound.facing;
+        player.aboveForeground = false;
+        player.rebound = null;
+    }
+    return true;
+}
+
+/**
+ * Speeds the player up along one axis towards the speed the input asks for. Letting go stops at once.
+ * @param {object} player
+ * @param {number} velocity The current velocity on the axis, px/s.
+ * @param {number} direction -1 to 1. Analog sticks give fractions for walking slower.
+ * @param {number} dt The tick length in seconds.
+ * @returns {number} The new velocity.
+ */
+export function accelerateTowards(player, velocity, direction, dt) {
+    const target = direction * player.terminalVel;
+    if (direction < 0) return Math.max(velocity - player.acc * dt, target);
+    if (direction > 0) return Math.min(velocity + player.acc * dt, target);
+    return 0;
+}
+
+/**
+ * Finds which way to nudge the player so a blocked step slips round a corner: the nearest side within
+ * PLAYER_CORNER_TOLERANCE where the step is clear and the player can get to. On a slope that's always
+ * a pixel away, so the player slides along it.
+ * @param {object} game
+ * @param {'x'|'y'} axis The axis the player is stepping along.
+ * @param {number} step -1 or 1.
+ * @param {number} sideInput The input on the other axis, -1 to 1. Nudges never go against it.
+ * @returns {number} -1 or 1 along the other axis, or 0 if there's no way round (or both ways are as near).
+ */
+export function findCornerNudge(game, axis, step, sideInput) {
+    const { player } = game;
+    const isClear = (forward, side) => axis === 'x'
+        ? !checkWallCollision(game, player.x + forward, player.y + side)
+        : !checkWallCollision(game, player.x + side, player.y + forward);
+    const directions = [-1, 1].filter(direction => sideInput === 0 || Math.sign(sideInput) === direction);
+
+    for (let distance = 1; distance <= PLAYER_CORNER_TOLERANCE; distance++) {
+        const open = directions.filter(direction => {
+            for (let side = 1; side <= distance; side++) {
+                if (!isClear(0, direction * side)) return false;
+            }
+            return isClear(step, direction * distance);
+        });
+        if (open.length) return open.length === 1 ? open[0] : 0;
+    }
+    return 0;
+}
+
+/**
+ * Moves the player along one axis a pixel at a time, stopping at walls or nudging round them, see findCornerNudge.
+ * Movement of less than a pixel is saved up until it adds up to one, so slow speeds still get somewhere.
+ * @param {object} game
+ * @param {'x'|'y'} axis
+ * @param {number} distance px this tick, may be fractional.
+ * @param {number} sideInput The input on the other axis, -1 to 1.
+ * @returns {boolean} True if a wall stopped the player.
+ */
+export function movePlayerAxis(game, axis, distance, sideInput) {
+    const { player } = game;
+    const side = axis === 'x' ? 'y' : 'x';
+    const remainderKey = axis === 'x' ? 'xRemainder' : 'yRemainder';
+    player[remainderKey] += distance;
+    let pixels = Math.round(player[remainderKey]);
+    player[remainderKey] -= pixels;
+
+    const step = Math.sign(pixels);
+    while (pixels !== 0) {
+        const target = { x: player.x, y: player.y };
+        target[axis] += step;
+        if (!checkWallCollision(game, target.x, target.y)) {
+            player[axis] = target[axis];
+        } else {
+            const nudge = findCornerNudge(game, axis, step, sideInput);
+            if (nudge === 0) {
+                player[remainderKey] = 0;
+                return true;
+            }
+            // Once the nudge clears the way, the step goes ahead in the same pixel of movement, so slopes aren't slow
+            player[side] += nudge;
+            target[side] = player[side];
+            if (!checkWallCollision(game, target.x, target.y)) player[axis] = target[axis];
+        }
+        pixels -= step;
+    }
+    return false;
+}
+
+/**
+ * Walks the player for one tick, turning them to face the way they're going.
+ * @param {object} game
+ * @param {{x: number, y: number}} move -1 to 1 on each axis.
+ * @param {number} dt The tick length in seconds.
+ */
+export function movePlayer(game, move, dt) {
+    const { player } = game;
+
+    // Vertical movement
+    player.yVel = accelerateTowards(player, player.yVel, move.y, dt);
+    if (movePlayerAxis(game, 'y', player.yVel * dt, move.x)) player.yVel = 0;
+
+    // Horizontal movement
+    player.xVel = accelerateTowards(player, player.xVel, move.x, dt);
+    if (move.x < 0) player.facing = 'left';
+    else if (move.x > 0) player.facing = 'right';
+    if (movePlayerAxis(game, 'x', player.xVel * dt, move.y)) player.xVel = 0;
+}
+
+// --- WORLDS ---
+
+/**
+ * Finds the map the player has walked onto, once the middle of their feet crosses the edge of the one they're on.
+ * @param {object} game
+ * @returns {string|null} A loaded map in the same world, or null if they're still on theirs.
+ */
+export function findWorldEdgeCrossing(game) {
+    const { player } = game;
+    const currentMap = game.maps[player.location];
+    if (!currentMap || !getWorldRect(game, player.location)) return null;
+
+    const bounds = player.collisionBounds;
+    const feetX = player.x + bounds.x + bounds.width / 2;
+    const feetY = player.y + bounds.y + bounds.height / 2;
+    const { width, height } = getMapPixelSize(currentMap);
+    if (feetX >= 0 && feetX < width && feetY >= 0 && feetY < height) return null;
+
+    const target = findWorldMapAt(game, player.location, Math.floor(feetX), Math.floor(feetY));
+    return target && game.maps[target.mapName] ? target.mapName : null;
+}
+
+/**
+ * Moves the player onto a neighbouring map of their world, keeping them at the same spot in the world.
+ * @param {object} game
+ * @param {string} mapName A loaded map in the same world.
+ * @returns {{x: number, y: number}} How far the new map is from the old one, see getWorldOffset.
+ */
+export function crossIntoMap(game, mapName) {
+    const { player } = game;
+    const offset = getWorldOffset(game, player.location, mapName);
+
+    player.x -= offset.x;
+    player.y -= offset.y;
+    player.prevX -= offset.x;
+    player.prevY -= offset.y;
+    game.maps[player.location].currentInteractable = null;
+    player.location = mapName;
+    return offset;
+}
@@ -0,0 +1,334 @@
+// Tiled flip flags, stored in the top bits of a GID
+export const FLIPPED_HORIZONTALLY_FLAG = 0x80000000;
+export const FLIPPED_VERTICALLY_FLAG = 0x40000000;
+export const FLIPPED_DIAGONALLY_FLAG = 0x20000000;
+export const ROTATED_HEXAGONAL_120_FLAG = 0x10000000;
+export const GID_MASK = ~(FLIPPED_HORIZONTALLY_FLAG | FLIPPED_VERTICALLY_FLAG | FLIPPED_DIAGONALLY_FLAG | ROTATED_HEXAGONAL_120_FLAG);
+
+/* Reading Tiled's files without a DOM, so the same code loads maps in the browser and under Node.
+
+   Each tileset (cached by path in assetManager.js, and shared between the maps that use it) has this structure:
+{
+    name,
+    tileWidth, tileHeight,
+    columns, margin, spacing, tileCount,
+    image: The whole spritesheet for image-based tilesets, or null for image collections,
+    tileOffset: { x, y } Tiled's drawing offset for the tileset,
+    tiles: Per-tile data keyed by local id: { image, rect, animation, collision }, where rect is the part of the image to draw,
+           animation is { frames: [{ tileId, duration }], totalDuration } and collision is the shapes drawn in Tiled's
+           tile collision editor, as Tiled objects relative to the tile's top-left (or null), see collision.mjs
+}
+   Images are paths until something loads them: the browser swaps them for images, see tilemap.js, and the
+   simulation never needs them. */
+
+/**
+ * Helper to turn a Tiled object's properties array into a KV map.
+ */
+export function getProperties(obj) {
+    if (!obj.properties) return null;
+    return Object.fromEntries(obj.properties.map(p => [p.name, p.value]));
+}
+
+/**
+ * Resolves a path relative to the file it appears in, the way Tiled stores them.
+ * @param {string} basePath The file containing the reference, e.g. 'maps/house1.tmj'.
+ * @param {string} relativePath e.g. '../tilesets/HouseDecor.tsx'.
+ * @returns {string} e.g. 'tilesets/HouseDecor.tsx'.
+ */
+export function resolveRelativePath(basePath, relativePath) {
+    const parts = basePath.split('/').slice(0, -1);
+    for (const part of relativePath.split('/')) {
+        if (part === '..' && parts.length && parts[parts.length - 1] !== '..') parts.pop();
+        else if (part !== '.' && part !== '') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function parseXmlAttributes(source) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = (doubleQuoted ?? singleQuoted).replace(/&(lt|gt|amp|quot|apos);/g, (_, entity) => XML_ENTITIES[entity]);
+    }
+    return attributes;
+}
+
+/**
+ * Reads the elements of an XML file, enough for Tiled's .tsx files. Text content is skipped.
+ * @param {string} xml
+ * @returns {{name: string, attributes: object, children: Array<object>}|null} The root element.
+ */
+export function parseXml(xml) {
+    const document = { children: [] };
+    const open = [document];
+    const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    for (const [, closing, name, attributes, selfClosing] of xml.matchAll(tokens)) {
+        if (!name) continue; // A comment, declaration or CDATA
+        if (closing) {
+            if (open.length > 1) open.pop();
+            continue;
+        }
+        const element = { name, attributes: parseXmlAttributes(attributes), children: [] };
+        open[open.length - 1].children.push(element);
+        if (!selfClosing) open.push(element);
+    }
+    return document.children[0] || null;
+}
+
+const childElements = (element, name) => element ? element.children.filter(child => child.name === name) : [];
+const childElement = (element, name) => childElements(element, name)[0] || null;
+
+/**
+ * Reads the collision shapes of a tile in a .tsx file into the same form as objects in a map's JSON.
+ * @param {object} tileElement From parseXml.
+ * @returns {Array<object>|null}
+ */
+function parseTileCollision(tileElement) {
+    const num = (element, name) => element.attributes[name] !== undefined ? parseFloat(element.attributes[name]) : 0;
+    const shapes = childElements(childElement(tileElement, 'objectgroup'), 'object').map(objectElement => {
+        const polygonElement = childElement(objectElement, 'polygon');
+        return {
+            x: num(objectElement, 'x'),
+            y: num(objectElement, 'y'),
+            width: num(objectElement, 'width'),
+            height: num(objectElement, 'height'),
+            rotation: num(objectElement, 'rotation'),
+            ellipse: childElement(objectElement, 'ellipse') !== null,
+            point: childElement(objectElement, 'point') !== null,
+            polyline: childElement(objectElement, 'polyline') !== null,
+            polygon: polygonElement ? polygonElement.attributes.points.trim().split(/\s+/).map(pair => {
+                const [x, y] = pair.split(',').map(parseFloat);
+                return { x, y };
+            }) : null
+        };
+    });
+    return shapes.length ? shapes : null;
+}
+
+function parseTileAnimation(frames) {
+    if (!frames.length) return null;
+    return {
+        frames,
+        totalDuration: frames.reduce((total, frame) => total + frame.duration, 0)
+    };
+}
+
+/**
+ * Parses a .tsx file into the game's tileset structure. Images are left as paths.
+ * @param {string} xml The file's contents.
+ * @param {string} tsxPath Used to resolve image paths.
+ */
+export function parseTsx(xml, tsxPath) {
+    const root = parseXml(xml);
+    if (!root || root.name !== 'tileset') throw new Error(`${tsxPath} isn't a Tiled tileset.`);
+    const attr = (element, name, fallback = 0) => element && element.attributes[name] !== undefined ? parseInt(element.attributes[name], 10) : fallback;
+
+    const imageElement = childElement(root, 'image');
+    const offsetElement = childElement(root, 'tileoffset');
+    const tileset = {
+        name: root.attributes.name,
+        tileWidth: attr(root, 'tilewidth'),
+        tileHeight: attr(root, 'tileheight'),
+        columns: attr(root, 'columns'),
+        margin: attr(root, 'margin'),
+        spacing: attr(root, 'spacing'),
+        tileCount: attr(root, 'tilecount'),
+        image: imageElement ? resolveRelativePath(tsxPath, imageElement.attributes.source) : null,
+        tileOffset: { x: attr(offsetElement, 'x'), y: attr(offsetElement, 'y') },
+        tiles: {}
+    };
+
+    for (const tileElement of childElements(root, 'tile')) {
+        const localId = attr(tileElement, 'id');
+        const tileImageElement = childElement(tileElement, 'image');
+        const frames = childElements(childElement(tileElement, 'animation'), 'frame').map(frameElement => ({
+            tileId: attr(frameElement, 'tileid'),
+            duration: attr(frameElement, 'duration')
+        }));
+
+        const tile = { image: null, rect: null, animation: parseTileAnimation(frames), collision: parseTileCollision(tileElement) };
+        if (tileImageElement) {
+            // Collection tiles may use just part of their image (Tiled 1.9+ x/y/width/height)
+            const imageWidth = attr(tileImageElement, 'width');
+            const imageHeight = attr(tileImageElement, 'height');
+            tile.image = resolveRelativePath(tsxPath, tileImageElement.attributes.source);
+            tile.rect = {
+                x: attr(tileElement, 'x'),
+                y: attr(tileElement, 'y'),
+                width: attr(tileElement, 'width', imageWidth),
+                height: attr(tileElement, 'height', imageHeight)
+            };
+        }
+        tileset.tiles[localId] = tile;
+    }
+    return tileset;
+}
+
+/**
+ * Converts a tileset embedded in a map's JSON into the game's tileset structure.
+ * @param {object} ts The embedded tileset.
+ * @param {string} mapPath Used to resolve image paths.
+ */
+export function parseEmbeddedTileset(ts, mapPath) {
+    const tileset = {
+        name: ts.name,
+        tileWidth: ts.tilewidth,
+        tileHeight: ts.tileheight,
+        columns: ts.columns || 0,
+        margin: ts.margin || 0,
+        spacing: ts.spacing || 0,
+        tileCount: ts.tilecount || 0,
+        image: ts.image ? resolveRelativePath(mapPath, ts.image) : null,
+        tileOffset: { x: ts.tileoffset ? ts.tileoffset.x : 0, y: ts.tileoffset ? ts.tileoffset.y : 0 },
+        tiles: {}
+    };
+
+    for (const tileData of ts.tiles || []) {
+        const frames = (tileData.animation || []).map(frame => ({ tileId: frame.tileid, duration: frame.duration }));
+        tileset.tiles[tileData.id] = {
+            image: tileData.image ? resolveRelativePath(mapPath, tileData.image) : null,
+            rect: tileData.image ? {
+                x: tileData.x || 0,
+                y: tileData.y || 0,
+                width: tileData.width || tileData.imagewidth,
+                height: tileData.height || tileData.imageheight
+            } : null,
+            animation: parseTileAnimation(frames),
+            collision: tileData.objectgroup && tileData.objectgroup.objects.length ? tileData.objectgroup.objects : null
+        };
+    }
+    return tileset;
+}
+
+/**
+ * Gets a tile's image and the part of it to draw, ignoring any animation.
+ * @param {object} tileset
+ * @param {number} localId
+ * @returns {{image, rect: object}|null}
+ */
+export function getTileFrame(tileset, localId) {
+    const tile = tileset.tiles[localId];
+    if (tile && tile.image) {
+        return { image: tile.image, rect: tile.rect };
+    }
+    if (!tileset.image || !tileset.columns) return null;
+
+    // Image-based tileset: find the tile on the spritesheet grid
+    const column = localId % tileset.columns;
+    const row = Math.floor(localId / tileset.columns);
+    return {
+        image: tileset.image,
+        rect: {
+            x: tileset.margin + column * (tileset.tileWidth + tileset.spacing),
+            y: tileset.margin + row * (tileset.tileHeight + tileset.spacing),
+            width: tileset.tileWidth,
+            height: tileset.tileHeight
+        }
+    };
+}
+
+/**
+ * Reads the flip flags of a GID.
+ * @param {number} gid
+ * @returns {{flipH: boolean, flipV: boolean, flipD: boolean}}
+ */
+export function getFlipFlags(gid) {
+    return {
+        flipH: (gid & FLIPPED_HORIZONTALLY_FLAG) !== 0,
+        flipV: (gid & FLIPPED_VERTICALLY_FLAG) !== 0,
+        flipD: (gid & FLIPPED_DIAGONALLY_FLAG) !== 0
+    };
+}
+
+/**
+ * Finds which of a map's tilesets a GID belongs to: the one with the highest firstGid not above it.
+ * @param {object} map An entry of game.maps.
+ * @param {number} gid A GID, possibly with flip flags set.
+ * @returns {{firstGid: number, tileset: object}|null}
+ */
+export function findTilesetRef(map, gid) {
+    const id = gid & GID_MASK;
+    if (id === 0) return null;
+
+    let ref = null;
+    for (const candidate of map.tilesets) {
+        if (candidate.firstGid > id) break;
+        ref = candidate;
+    }
+    return ref;
+}
+
+/**
+ * Looks up where a GID's tile sits, ignoring any animation: the part of its image and its tileset's offset.
+ * @param {object} map An entry of game.maps.
+ * @param {number} gid A GID, possibly with flip flags set.
+ * @returns {{rect: object, offset: {x: number, y: number}}|null}
+ */
+export function getTileBox(map, gid) {
+    const ref = findTilesetRef(map, gid);
+    const frame = ref && getTileFrame(ref.tileset, (gid & GID_MASK) - ref.firstGid);
+    return frame ? { rect: frame.rect, offset: ref.tileset.tileOffset } : null;
+}
+
+/**
+ * Looks up the collision shapes drawn on a tile. Animated tiles keep the shapes of their first tile.
+ * @param {object} map An entry of game.maps.
+ * @param {number} gid A GID, possibly with flip flags set.
+ * @returns {{shapes: Array<object>, width: number, height: number, flipH: boolean, flipV: boolean, flipD: boolean}|null}
+ *          width and height are the size of the image the shapes were drawn on.
+ */
+export function getTileCollision(map, gid) {
+    const ref = findTilesetRef(map, gid);
+    const tile = ref && ref.tileset.tiles[(gid & GID_MASK) - ref.firstGid];
+    if (!tile || !tile.collision) return null;
+
+    return {
+        shapes: tile.collision,
+        width: tile.rect ? tile.rect.width : ref.tileset.tileWidth,
+        height: tile.rect ? tile.rect.height : ref.tileset.tileHeight,
+        ...getFlipFlags(gid)
+    };
+}
+
+/**
+ * Flattens Tiled's layer tree into a list, combining each layer's offset, opacity, visibility and parallax
+ * with those of the groups it's in.
+ * @param {Array<object>} layers
+ * @param {object} [parent] The combined settings of the enclosing group.
+ * @returns {Array<{layer, offsetX, offsetY, opacity, visible, parallaxX, parallaxY, image}>}
+ */
+export function flattenLayers(layers, parent = { offsetX: 0, offsetY: 0, opacity: 1, visible: true, parallaxX: 1, parallaxY: 1 }) {
+    const entries = [];
+    for (const layer of layers) {
+        const entry = {
+            layer,
+            offsetX: parent.offsetX + (layer.offsetx || 0),
+            offsetY: parent.offsetY + (layer.offsety || 0),
+            opacity: parent.opacity * (layer.opacity ?? 1),
+            visible: parent.visible && layer.visible !== false,
+            parallaxX: parent.parallaxX * (layer.parallaxx ?? 1),
+            parallaxY: parent.parallaxY * (layer.parallaxy ?? 1),
+            image: null // Loaded image for image layers
+        };
+
+        if (layer.type === 'group') {
+            entries.push(...flattenLayers(layer.layers || [], entry));
+        } else {
+            entries.push(entry);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Gets the map's size in pixels.
+ * @param {object} map An entry of game.maps.
+ * @returns {{width: number, height: number}}
+ */
+export function getMapPixelSize(map) {
+    return {
+        width: map.mapData.width * map.mapData.tilewidth,
+        height: map.mapData.height * map.mapData.tileheight
+    };
+}
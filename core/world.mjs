@@ -0,0 +1,87 @@
+import { isCollisionPixelSolid } from './collision.mjs';
+
+/* Maps in the same Tiled .world file join up at their edges: walking off one map walks onto whichever
+   map is next to it in the world, and the camera shows neighbouring maps across the seam.
+   Where each map sits comes from the manifest, game.mapManifest[mapName].world = { name, x, y, width, height },
+   see tools/build-map-manifest.js. Positions on a map are always local to it; world positions only
+   appear as offsets between two maps. */
+
+/**
+ * Gets where a map sits in its world.
+ * @param {object} game
+ * @param {string} mapName
+ * @returns {{name: string, x: number, y: number, width: number, height: number}|null} null if it isn't in one.
+ */
+export function getWorldRect(game, mapName) {
+    const entry = game.mapManifest && game.mapManifest[mapName];
+    return entry && entry.world ? entry.world : null;
+}
+
+/**
+ * Gets how far another map in the same world is from a map.
+ * Subtract it from a position on `fromMap` to get the same spot on `toMap`.
+ * @param {object} game
+ * @param {string} fromMap
+ * @param {string} toMap
+ * @returns {{x: number, y: number}}
+ */
+export function getWorldOffset(game, fromMap, toMap) {
+    const from = getWorldRect(game, fromMap);
+    const to = getWorldRect(game, toMap);
+    return { x: to.x - from.x, y: to.y - from.y };
+}
+
+/**
+ * Gets the other maps of a map's world that are within a distance of it. Maps sharing an edge are at distance 0.
+ * @param {object} game
+ * @param {string} mapName
+ * @param {number} [distance=0] In pixels.
+ * @returns {string[]} Map names.
+ */
+export function getWorldNeighbours(game, mapName, distance = 0) {
+    const rect = getWorldRect(game, mapName);
+    if (!rect) return [];
+
+    return Object.keys(game.mapManifest).filter(other => {
+        const otherRect = getWorldRect(game, other);
+        return other !== mapName && otherRect && otherRect.name === rect.name &&
+            otherRect.x <= rect.x + rect.width + distance && otherRect.x + otherRect.width >= rect.x - distance &&
+            otherRect.y <= rect.y + rect.height + distance && otherRect.y + otherRect.height >= rect.y - distance;
+    });
+}
+
+/**
+ * Finds which neighbouring map a point off the edge of a map falls on.
+ * @param {object} game
+ * @param {string} mapName The map the point is relative to.
+ * @param {number} x
+ * @param {number} y
+ * @returns {{mapName: string, x: number, y: number}|null} The map and the point relative to it, or null if it's off the world.
+ */
+export function findWorldMapAt(game, mapName, x, y) {
+    for (const other of getWorldNeighbours(game, mapName)) {
+        const offset = getWorldOffset(game, mapName, other);
+        const rect = getWorldRect(game, other);
+        const localX = x - offset.x;
+        const localY = y - offset.y;
+        if (localX >= 0 && localX < rect.width && localY >= 0 && localY < rect.height) {
+            return { mapName: other, x: localX, y: localY };
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a pixel off the edge of a map is solid, going by the walls of the map next to it.
+ * Off the edge of the world, or onto a map that hasn't loaded yet, counts as solid.
+ * @param {object} game
+ * @param {string} mapName The map the pixel is relative to.
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function isWorldPixelSolid(game, mapName, x, y) {
+    const target = findWorldMapAt(game, mapName, x, y);
+    const map = target && game.maps[target.mapName];
+    return !map || isCollisionPixelSolid(map.collision, target.x, target.y);
+}
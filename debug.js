@@ -0,0 +1,426 @@
+const DEBUG_TOGGLE_KEY = 'Backquote'; // A fixed key rather than an action, so it's never in the options or on a gamepad
+const DEBUG_FRAME_SAMPLES = 60; // Frames shown on the frame-time graph, one HUD pixel each
+const DEBUG_GRAPH_HEIGHT = 20; // HUD px
+const DEBUG_GRAPH_MAX_TIME = 50; // ms at the top of the graph
+const DEBUG_LOG_LINES = 100; // Lines the console keeps
+
+/* A developer mode for working out why a door or a wall misbehaves, toggled with the ` key. While it's on:
+   - the world is overlaid with the walls (red), interactables (yellow; green for the one the player is in,
+     grey if their conditions hide them), the player's box that interactables are tested against (white),
+     foreground sort baselines (cyan; an entity is drawn in front of an object once its bottom row, in magenta,
+     reaches the line) and the player's collision mask (blue),
+   - the HUD shows a graph of recent frame times, with a line at 60 FPS, and the map position under the mouse,
+   - clicking the game prints the map position clicked, e.g. for a door's destinationX and destinationY,
+   - a console takes commands, see DEBUG_COMMANDS. Escape leaves it to play, and clicking it goes back.
+   The `record` command records the player's input for a replay test, see core/replay.mjs and tools/replay.js.
+   Recording carries on with debug mode off, so the overlay needn't be in the way. */
+
+const debugConsole = document.getElementById('debug-console');
+const debugLog = document.getElementById('debug-log');
+const debugInput = document.getElementById('debug-input');
+
+const debug = {
+    enabled: false,
+    frameTimes: new Float32Array(DEBUG_FRAME_SAMPLES), // ms between frames, a ring buffer starting at frameIndex
+    frameIndex: 0,
+    cursor: null, // { clientX, clientY } where the mouse was last over the game
+    collisionImages: new WeakMap(), // The walls of each collision grid drawn once, see getCollisionImage
+    recording: null // The replay being recorded, see recordTick
+};
+
+// Console commands. Each is given the words typed after its name, and returns what to print (or a promise of it)
+const DEBUG_COMMANDS = {
+    help: {
+        usage: 'help',
+        description: 'Lists the commands.',
+        run() {
+            return Object.values(DEBUG_COMMANDS).map(command => `${command.usage} - ${command.description}`).join('\n');
+        }
+    },
+    tp: {
+        usage: 'tp [map] [x y]',
+        description: "Teleports the player's top-left to a position, or to the map's spawn point.",
+        async run(args) {
+            if (!args.length) return `Usage: ${this.usage}`;
+            const mapName = isNaN(args[0]) ? args.shift() : player.location;
+            if (!game.mapManifest[mapName]) return `There's no map "${mapName}".`;
+
+            const step = { action: 'teleport', map: mapName };
+            if (args.length) {
+                [step.x, step.y] = args.map(Number);
+                if (isNaN(step.x) || isNaN(step.y)) return `Usage: ${this.usage}`;
+            } else {
+                step.spawn = (await loadMap(mapName)).properties.spawn;
+                if (!step.spawn) return `"${mapName}" has no spawn point, give a position.`;
+            }
+            if (!runSequence([step])) return 'A sequence is running, try again when it ends.';
+            return `Teleported to ${mapName}.`;
+        }
+    },
+    noclip: {
+        usage: 'noclip',
+        description: 'Lets the player walk through walls, or stops it.',
+        run() {
+            player.noclip = !player.noclip;
+            return `Noclip is ${player.noclip ? 'on' : 'off'}.`;
+        }
+    },
+    record: {
+        usage: 'record [stop]',
+        description: "Records the player's input from here, or stops and downloads it as a replay.",
+        run([stop]) {
+            if (stop !== undefined && stop !== 'stop') return `Usage: ${this.usage}`;
+            if (stop) {
+                if (!debug.recording) return 'Not recording.';
+                const replay = core.finishRecording(debug.recording, game);
+                debug.recording = null;
+                downloadReplay(replay);
+                const ticks = replay.input.reduce((total, entry) => total + entry.ticks, 0);
+                return `Recorded ${ticks} ticks, ending at ${replay.expect.location} ${replay.expect.x},${replay.expect.y}.`;
+            }
+            if (debug.recording) return 'Already recording, `record stop` first.';
+            if (player.noclip) return "Turn noclip off first, replays can't walk through walls.";
+            debug.recording = core.createRecording(game, TICK_RATE);
+            return `Recording from ${player.location} ${player.x},${player.y}.`;
+        }
+    },
+    props: {
+        usage: 'props [x y]',
+        description: 'Prints the properties of the objects under the mouse, or at a position on this map.',
+        run(args) {
+            const point = args.length
+                ? { mapName: player.location, x: Number(args[0]), y: Number(args[1]) }
+                : debug.cursor && getMapPointAt(debug.cursor.clientX, debug.cursor.clientY);
+            const map = point && game.maps[point.mapName];
+            if (!map) return args.length ? `Usage: ${this.usage}` : 'Point the mouse at the map first.';
+
+            const found = findObjectsAt(map, point.x, point.y);
+            if (!found.length) return `Nothing at ${point.mapName} ${point.x}, ${point.y}.`;
+            return found.map(({ layerName, obj }) =>
+                `${layerName} #${obj.id}${obj.name ? ` "${obj.name}"` : ''}: ${JSON.stringify(core.getProperties(obj))}`).join('\n');
+        }
+    },
+    time: {
+        usage: 'time [hour]',
+        description: 'Prints the time of day, or sets it to an hour, e.g. 21.5 for half past nine.',
+        run([hour]) {
+            if (hour !== undefined) {
+                if (isNaN(hour)) return `Usage: ${this.usage}`;
+                core.setTimeOfDay(game, Number(hour));
+            }
+            const minutes = Math.floor(game.time);
+            const clock = [Math.floor(minutes / 60), minutes % 60].map(part => String(part).padStart(2, '0')).join(':');
+            return `It's ${clock}, ${core.getTimePeriod(game)}.`;
+        }
+    },
+    clear: {
+        usage: 'clear',
+        description: 'Clears the console.',
+        run() {
+            debugLog.replaceChildren();
+            return null;
+        }
+    }
+};
+
+/**
+ * Turns debug mode on or off, showing the console (ready to type in) along with the overlay.
+ * @param {boolean} enabled
+ */
+function setDebugEnabled(enabled) {
+    debug.enabled = enabled;
+    debugConsole.hidden = !enabled;
+    if (enabled) debugInput.focus();
+    else debugInput.blur();
+}
+
+/**
+ * Prints to the console, and to the browser's.
+ * @param {string} text May have several lines.
+ */
+function printDebug(text) {
+    console.log(text);
+    for (const line of text.split('\n')) {
+        const row = document.createElement('div');
+        row.textContent = line;
+        debugLog.append(row);
+    }
+    while (debugLog.children.length > DEBUG_LOG_LINES) debugLog.firstElementChild.remove();
+    debugLog.scrollTop = debugLog.scrollHeight;
+}
+
+/**
+ * Runs a line typed into the console.
+ * @param {string} line
+ */
+async function runDebugCommand(line) {
+    const [name, ...args] = line.trim().split(/\s+/);
+    if (!name) return;
+
+    printDebug(`> ${line.trim()}`);
+    const command = DEBUG_COMMANDS[name.toLowerCase()];
+    if (!command) {
+        printDebug(`Unknown command "${name}". Try help.`);
+        return;
+    }
+    try {
+        const result = await command.run(args);
+        if (result) printDebug(result);
+    } catch (error) {
+        console.error(error);
+        printDebug(`Failed: ${error.message}`);
+    }
+}
+
+/**
+ * Adds the time since the last frame to the frame-time graph. Called every frame, even while paused.
+ * @param {number} ms
+ */
+function recordFrameTime(ms) {
+    debug.frameTimes[debug.frameIndex] = ms;
+    debug.frameIndex = (debug.frameIndex + 1) % DEBUG_FRAME_SAMPLES;
+}
+
+/**
+ * Adds a tick of the player's input to the replay being recorded, if there is one. Called by updatePlayerPosition.
+ * @param {{move?: {x: number, y: number}, interact?: boolean, target?: object, blocked?: boolean}} input
+ */
+function recordTick(input) {
+    if (debug.recording) core.recordTick(debug.recording, input);
+}
+
+/**
+ * Saves a replay through the browser's downloads, to be put in replays/.
+ * @param {object} replay
+ */
+function downloadReplay(replay) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${replay.start.location}-to-${replay.expect.location}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Finds the objects of every object layer of a map that cover a pixel. Points count within a couple of pixels.
+ * @param {object} map An entry of game.maps.
+ * @param {number} x
+ * @param {number} y
+ * @returns {Array<{layerName: string, obj: object}>}
+ */
+function findObjectsAt(map, x, y) {
+    const found = [];
+    for (const entry of core.flattenLayers(map.mapData.layers)) {
+        if (entry.layer.type !== 'objectgroup') continue;
+
+        // Test the pixel's centre, like the collision grid does
+        const px = x + 0.5 - entry.offsetX;
+        const py = y + 0.5 - entry.offsetY;
+        for (const obj of entry.layer.objects) {
+            const hit = obj.gid
+                ? px >= obj.x && px < obj.x + obj.width && py >= obj.y - obj.height && py < obj.y // Tile objects sit on their y
+                : obj.point || (!obj.width && !obj.height && !obj.polygon)
+                    ? Math.abs(px - obj.x) <= 2 && Math.abs(py - obj.y) <= 2
+                    : core.isPointInShape(obj, px, py);
+            if (hit) found.push({ layerName: entry.layer.name, obj });
+        }
+    }
+    return found;
+}
+
+/**
+ * Gets a collision grid's walls as a picture, drawn the first time it's asked for.
+ * @param {object} grid See createCollisionGrid in core/collision.mjs.
+ * @returns {HTMLCanvasElement}
+ */
+function getCollisionImage(grid) {
+    let image = debug.collisionImages.get(grid);
+    if (image) return image;
+
+    image = document.createElement('canvas');
+    image.width = grid.width;
+    image.height = grid.height;
+    const imageCtx = image.getContext('2d');
+    const pixels = imageCtx.createImageData(grid.width, grid.height);
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            if (!core.isCollisionPixelSolid(grid, x, y)) continue;
+            const i = (y * grid.width + x) * 4;
+            pixels.data[i] = 255;
+            pixels.data[i + 3] = 112;
+        }
+    }
+    imageCtx.putImageData(pixels, 0, 0);
+    debug.collisionImages.set(grid, image);
+    return image;
+}
+
+function outlineRect(context, x, y, width, height) {
+    context.fillRect(x, y, width, 1);
+    context.fillRect(x, y + height - 1, width, 1);
+    context.fillRect(x, y, 1, height);
+    context.fillRect(x + width - 1, y, 1, height);
+}
+
+/**
+ * Outlines a map's interactables, filling in the one the player is in.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} map An entry of game.maps.
+ */
+function drawInteractablesOverlay(context, map) {
+    if (!map.interactablesLayer) return;
+
+    for (const obj of map.interactablesLayer.objects) {
+        const x = Math.round(obj.x - camera.x);
+        const y = Math.round(obj.y - camera.y);
+        const width = Math.max(1, Math.round(obj.width));
+        const height = Math.max(1, Math.round(obj.height));
+        if (obj === map.currentInteractable) {
+            context.fillStyle = 'rgba(0, 255, 0, 0.3)';
+            context.fillRect(x, y, width, height);
+            context.fillStyle = '#00ff00';
+        } else {
+            context.fillStyle = core.isObjectAvailable(game, map.name, obj) ? '#ffff00' : '#808080';
+        }
+        outlineRect(context, x, y, width, height);
+    }
+}
+
+/**
+ * Draws the rows that decide which way round foreground objects and entities are drawn, see drawForegroundAndEntities.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} map An entry of game.maps.
+ */
+function drawBaselinesOverlay(context, map) {
+    const foregroundEntry = map.renderLayers.find(entry => entry.layer.name === 'Foreground' && entry.layer.type === 'objectgroup');
+    if (foregroundEntry) {
+        const origin = getLayerOrigin(foregroundEntry);
+        context.fillStyle = '#00ffff';
+        for (const obj of map.sortedForegroundObjects) {
+            context.fillRect(Math.round(origin.x + obj.x), Math.round(origin.y + obj.y), Math.max(1, Math.round(obj.width)), 1);
+        }
+    }
+
+    context.fillStyle = '#ff00ff';
+    for (const entity of [...map.entities, player]) {
+        if (entity === player && player.aboveForeground) continue;
+        const x = Math.round(lerp(entity.prevX, entity.x, loop.alpha) - camera.x);
+        const y = Math.round(lerp(entity.prevY, entity.y, loop.alpha) + entity.height - 1 - camera.y);
+        context.fillRect(x, y, entity.width, 1);
+    }
+}
+
+/**
+ * Draws the world half of the overlay over the player's map. Call straight after drawing the scene,
+ * with the camera still applied.
+ * @param {CanvasRenderingContext2D} context The world.
+ */
+function drawDebugOverlay(context) {
+    const currentMap = game.maps[player.location];
+    if (!debug.enabled || !currentMap) return;
+
+    const maps = [{ map: currentMap, offset: { x: 0, y: 0 } }, ...getLoadedWorldNeighbours()];
+    for (const { map, offset } of maps) {
+        if (map.collision) context.drawImage(getCollisionImage(map.collision), Math.round(offset.x - camera.x), Math.round(offset.y - camera.y));
+    }
+
+    drawInteractablesOverlay(context, currentMap);
+    drawBaselinesOverlay(context, currentMap);
+
+    // Where the player is as far as the simulation knows, rather than interpolated like the sprite
+    const x = Math.round(player.x - camera.x);
+    const y = Math.round(player.y - camera.y);
+    context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    outlineRect(context, x, y, player.width, player.height);
+    context.fillStyle = 'rgba(0, 128, 255, 0.7)';
+    for (const span of player.collisionSpans) {
+        context.fillRect(x + span.start, y + span.y, span.end - span.start, 1);
+    }
+}
+
+/**
+ * Draws the frame-time graph: a bar per frame, green if it kept up with 60 FPS, yellow for 30, red for slower.
+ * @param {CanvasRenderingContext2D} context The HUD.
+ * @param {number} x Top-left.
+ * @param {number} y
+ */
+function drawFrameGraph(context, x, y) {
+    const samples = [...debug.frameTimes.subarray(debug.frameIndex), ...debug.frameTimes.subarray(0, debug.frameIndex)];
+    const recorded = samples.filter(ms => ms > 0);
+    const average = recorded.length ? recorded.reduce((sum, ms) => sum + ms, 0) / recorded.length : 0;
+    const label = `${average ? Math.round(1000 / average) : 0} FPS ${average.toFixed(1)}MS`;
+
+    const graphTop = y + PIXEL_FONT_LINE_HEIGHT;
+    const bottom = graphTop + DEBUG_GRAPH_HEIGHT;
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(x - 1, y - 1, DEBUG_FRAME_SAMPLES + 2, bottom - y + 2);
+    drawPixelText(context, label, x, y);
+
+    samples.forEach((ms, i) => {
+        const height = Math.min(DEBUG_GRAPH_HEIGHT, Math.round(ms / DEBUG_GRAPH_MAX_TIME * DEBUG_GRAPH_HEIGHT));
+        context.fillStyle = ms <= TICK_DURATION * 1.1 ? '#55ff55' : ms <= TICK_DURATION * 2.1 ? '#ffff55' : '#ff5555';
+        context.fillRect(x + i, bottom - height, 1, height);
+    });
+    context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    context.fillRect(x, bottom - Math.round(TICK_DURATION / DEBUG_GRAPH_MAX_TIME * DEBUG_GRAPH_HEIGHT), DEBUG_FRAME_SAMPLES, 1);
+}
+
+/**
+ * Draws the HUD half of the overlay: the frame-time graph, with the map position under the mouse and
+ * whether noclip is on and a replay is recording below it.
+ * @param {CanvasRenderingContext2D} context The HUD.
+ */
+function drawDebugHud(context) {
+    if (!debug.enabled) return;
+
+    const x = hud.width - DEBUG_FRAME_SAMPLES - 2;
+    drawFrameGraph(context, x, 2);
+
+    const point = debug.cursor && getMapPointAt(debug.cursor.clientX, debug.cursor.clientY);
+    const lines = [
+        point ? `${point.mapName} ${point.x},${point.y}` : '',
+        player.noclip ? 'NOCLIP' : '',
+        debug.recording ? 'REC' : ''
+    ].filter(Boolean);
+    lines.forEach((line, i) => {
+        const y = 2 + PIXEL_FONT_LINE_HEIGHT + DEBUG_GRAPH_HEIGHT + 3 + i * PIXEL_FONT_LINE_HEIGHT;
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(hud.width - measurePixelText(line) - 3, y - 1, measurePixelText(line) + 2, PIXEL_FONT_LINE_HEIGHT);
+        drawPixelText(context, line, hud.width - measurePixelText(line) - 2, y);
+    });
+}
+
+document.addEventListener('keydown', (event) => {
+    if (event.code !== DEBUG_TOGGLE_KEY || event.repeat || !isGameRunning()) return;
+    event.preventDefault();
+    setDebugEnabled(!debug.enabled);
+});
+
+debugInput.addEventListener('keydown', (event) => {
+    event.stopPropagation(); // Typing isn't playing, see input.js
+    if (event.code === DEBUG_TOGGLE_KEY) {
+        event.preventDefault();
+        setDebugEnabled(false);
+    } else if (event.key === 'Escape') {
+        debugInput.blur();
+    } else if (event.key === 'Enter') {
+        runDebugCommand(debugInput.value);
+        debugInput.value = '';
+    }
+});
+
+screenCanvas.addEventListener('mousemove', (event) => {
+    debug.cursor = { clientX: event.clientX, clientY: event.clientY };
+});
+
+// Keep the console focused when clicking the game, so positions can be clicked and then used straight away
+screenCanvas.addEventListener('mousedown', (event) => {
+    if (debug.enabled) event.preventDefault();
+});
+
+screenCanvas.addEventListener('click', (event) => {
+    if (!debug.enabled) return;
+    const point = getMapPointAt(event.clientX, event.clientY);
+    printDebug(point ? `${point.mapName} x: ${point.x}, y: ${point.y}` : 'Off the map.');
+});
@@ -0,0 +1,229 @@
+const DIALOGUE_CHARS_PER_SECOND = 40;
+const DIALOGUE_VISIBLE_LINES = 3;
+const DIALOGUE_PADDING = 3;
+
+const DIALOGUE_COLORS = {
+    box: '#1a1c2c',
+    border: '#f4f4f4',
+    text: '#f4f4f4',
+    highlight: '#ffcd75'
+};
+
+const dialogue = {
+    active: false,
+    rawPages: [], // The pages as written, to wrap again if the box changes width
+    pages: [], // Normalised pages: { speaker, lines, choices, rawIndex }
+    wrapWidth: 0, // The box's width when the pages were wrapped, see getDialoguePage
+    pageIndex: 0,
+    charsShown: 0, // Typewriter progress through the current page (fractional)
+    choiceIndex: 0,
+};
+
+/* Dialogue data (data/dialogue.json) is keyed by id. Each entry is a list of pages, where a page is either
+   a string or { "speaker": "...", "text": "...", "choices": [{ "text": "...", "next": "<dialogue id>" }] }.
+   A choice without `next` simply closes the box. */
+
+function getDialogueBox() {
+    const height = DIALOGUE_VISIBLE_LINES * PIXEL_FONT_LINE_HEIGHT - 2 + DIALOGUE_PADDING * 2;
+    return {
+        x: 1,
+        y: hud.height - height - 1,
+        width: hud.width - 2,
+        height
+    };
+}
+
+/**
+ * Wraps each page's text to the box and splits pages that don't fit into several.
+ * @param {Array<string|object>} rawPages The pages as written in the data file.
+ * @returns {Array<{speaker: string|null, lines: string[], choices: Array|null, rawIndex: number}>}
+ */
+function paginateDialogue(rawPages) {
+    const maxWidth = getDialogueBox().width - DIALOGUE_PADDING * 2;
+    const pages = [];
+
+    for (const [rawIndex, rawPage] of rawPages.entries()) {
+        const page = typeof rawPage === 'string' ? { text: rawPage } : rawPage;
+        const lines = wrapPixelText(page.text || '', maxWidth);
+
+        for (let i = 0; i < lines.length; i += DIALOGUE_VISIBLE_LINES) {
+            const isLastChunk = i + DIALOGUE_VISIBLE_LINES >= lines.length;
+            pages.push({
+                speaker: page.speaker || null,
+                lines: lines.slice(i, i + DIALOGUE_VISIBLE_LINES),
+                choices: isLastChunk && page.choices && page.choices.length ? page.choices : null,
+                rawIndex
+            });
+        }
+    }
+    return pages;
+}
+
+const getPageLength = (page) => page.lines.reduce((total, line) => total + line.length, 0);
+
+/**
+ * Opens the text box with the dialogue of the given id.
+ * @param {string} id A key in game.dialogue.
+ * @returns {boolean} False if no dialogue exists with that id, or it has no pages.
+ */
+function openDialogue(id) {
+    const rawPages = game.dialogue[id];
+    if (!rawPages) {
+        console.warn(`Dialogue "${id}" not found.`);
+        return false;
+    }
+    if (!rawPages.length) {
+        console.warn(`Dialogue "${id}" has no pages.`);
+        return false;
+    }
+
+    return openDialoguePages(rawPages);
+}
+
+/**
+ * Opens the text box with pages that aren't in the dialogue file, e.g. text written inline in a script.
+ * @param {Array<string|object>} rawPages Pages in the same format as data/dialogue.json.
+ * @returns {boolean} False if there are no pages, leaving the box closed.
+ */
+function openDialoguePages(rawPages) {
+    if (!rawPages.length) {
+        console.warn('Dialogue has no pages.');
+        return false;
+    }
+
+    dialogue.active = true;
+    audioEngine.setDucked('dialogue', true);
+    dialogue.rawPages = rawPages;
+    dialogue.pages = paginateDialogue(rawPages);
+    dialogue.wrapWidth = getDialogueBox().width;
+    dialogue.pageIndex = 0;
+    dialogue.charsShown = 0;
+    dialogue.choiceIndex = 0;
+    return true;
+}
+
+function closeDialogue() {
+    dialogue.active = false;
+    audioEngine.setDucked('dialogue', false);
+    dialogue.rawPages = [];
+    dialogue.pages = [];
+}
+
+const isDialogueOpen = () => dialogue.active;
+
+/**
+ * Gets the page being shown, first wrapping the pages again if the box has changed width since they were,
+ * e.g. after the window is resized and the HUD with it. That starts the page being read over.
+ * @returns {object} A page from paginateDialogue.
+ */
+function getDialoguePage() {
+    const width = getDialogueBox().width;
+    if (width !== dialogue.wrapWidth) {
+        const { rawIndex } = dialogue.pages[dialogue.pageIndex];
+        dialogue.pages = paginateDialogue(dialogue.rawPages);
+        dialogue.wrapWidth = width;
+        dialogue.pageIndex = dialogue.pages.findIndex(page => page.rawIndex === rawIndex);
+        dialogue.charsShown = 0;
+    }
+    return dialogue.pages[dialogue.pageIndex];
+}
+
+/**
+ * Advances the typewriter and handles input for the open text box.
+ * @param {number} dt The tick length in seconds.
+ */
+function updateDialogue(dt) {
+    if (!dialogue.active) return;
+
+    const page = getDialoguePage();
+    const pageLength = getPageLength(page);
+    dialogue.charsShown = Math.min(pageLength, dialogue.charsShown + DIALOGUE_CHARS_PER_SECOND * dt);
+    const revealed = dialogue.charsShown >= pageLength;
+
+    if (revealed && page.choices) {
+        const count = page.choices.length;
+        if (consumeAction('up')) dialogue.choiceIndex = (dialogue.choiceIndex - 1 + count) % count;
+        if (consumeAction('down')) dialogue.choiceIndex = (dialogue.choiceIndex + 1) % count;
+    }
+
+    if (!consumeAction('interact')) return;
+
+    if (!revealed) {
+        // First press skips the typewriter
+        dialogue.charsShown = pageLength;
+        return;
+    }
+
+    if (page.choices) {
+        const choice = page.choices[dialogue.choiceIndex];
+        if (!choice.next || !openDialogue(choice.next)) closeDialogue();
+        return;
+    }
+
+    if (dialogue.pageIndex < dialogue.pages.length - 1) {
+        dialogue.pageIndex++;
+        dialogue.charsShown = 0;
+        dialogue.choiceIndex = 0;
+    } else {
+        closeDialogue();
+    }
+}
+
+function drawPanel(context, x, y, width, height) {
+    context.fillStyle = DIALOGUE_COLORS.border;
+    context.fillRect(x, y, width, height);
+    context.fillStyle = DIALOGUE_COLORS.box;
+    context.fillRect(x + 1, y + 1, width - 2, height - 2);
+}
+
+/**
+ * Draws the text box, speaker name and any choices over the scene.
+ * @param {CanvasRenderingContext2D} context The context to draw to.
+ */
+function drawDialogue(context) {
+    if (!dialogue.active) return;
+
+    const page = getDialoguePage();
+    const box = getDialogueBox();
+    drawPanel(context, box.x, box.y, box.width, box.height);
+
+    if (page.speaker) {
+        const tabWidth = measurePixelText(page.speaker) + DIALOGUE_PADDING * 2;
+        const tabHeight = PIXEL_FONT_HEIGHT + 4;
+        drawPanel(context, box.x, box.y - tabHeight + 1, tabWidth, tabHeight);
+        drawPixelText(context, page.speaker, box.x + DIALOGUE_PADDING, box.y - tabHeight + 3, DIALOGUE_COLORS.highlight);
+    }
+
+    // Typewriter: only draw as many characters as have been revealed so far
+    let remaining = Math.floor(dialogue.charsShown);
+    page.lines.forEach((line, i) => {
+        if (remaining <= 0) return;
+        drawPixelText(context, line.slice(0, remaining), box.x + DIALOGUE_PADDING, box.y + DIALOGUE_PADDING + i * PIXEL_FONT_LINE_HEIGHT, DIALOGUE_COLORS.text);
+        remaining -= line.length;
+    });
+
+    if (dialogue.charsShown < getPageLength(page)) return;
+
+    if (page.choices) {
+        const cursorWidth = 4;
+        const width = Math.max(...page.choices.map(choice => measurePixelText(choice.text))) + cursorWidth + DIALOGUE_PADDING * 2;
+        const height = page.choices.length * PIXEL_FONT_LINE_HEIGHT - 2 + DIALOGUE_PADDING * 2;
+        const x = box.x + box.width - width;
+        const y = box.y - height + 1;
+        drawPanel(context, x, y, width, height);
+
+        page.choices.forEach((choice, i) => {
+            const selected = i === dialogue.choiceIndex;
+            const textY = y + DIALOGUE_PADDING + i * PIXEL_FONT_LINE_HEIGHT;
+            if (selected) drawPixelText(context, '>', x + DIALOGUE_PADDING, textY, DIALOGUE_COLORS.highlight);
+            drawPixelText(context, choice.text, x + DIALOGUE_PADDING + cursorWidth, textY, selected ? DIALOGUE_COLORS.highlight : DIALOGUE_COLORS.text);
+        });
+    } else if (Math.floor(loop.time / 400) % 2 === 0) {
+        // Blinking "more" arrow
+        const arrowX = box.x + box.width - DIALOGUE_PADDING - 3;
+        const arrowY = box.y + box.height - DIALOGUE_PADDING - 2;
+        context.fillStyle = DIALOGUE_COLORS.text;
+        context.fillRect(arrowX, arrowY, 3, 1);
+        context.fillRect(arrowX + 1, arrowY + 1, 1, 1);
+    }
+}
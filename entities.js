@@ -0,0 +1,199 @@
+const NPC_DEFAULT_SPEED = 20; // px/s
+const NPC_DEFAULT_PAUSE_TIME = 1500; // ms spent standing still between wander targets / path points
+const NPC_BLOCKED_RETRY_TIME = 500; // ms to wait before trying again after walking into something
+
+/* Each entity in game.maps[mapName].entities has this structure:
+{
+    id: The Tiled object id it was spawned from,
+    location: The name of the map it lives on,
+    x, y, prevX, prevY: Top-left position now and at the previous tick,
+    width, height,
+    animator: Plays the entity's spritesheet, see animation.js,
+    facing: 'left' | 'right',
+    collisionMap: ImageData of the pixels that collide with walls,
+    collisionBounds: { x, y, width, height } of the solid pixels in collisionMap,
+    collisionSpans: The solid pixels of collisionMap as runs along each row, see getCollisionSpans in core/collision.mjs,
+    behaviour: 'idle' | 'wander' | 'path',
+    speed: px/s,
+    pauseTime: ms,
+    area: { x, y, width, height } the feet stay within when wandering,
+    path: [{ x, y }] feet positions to walk between,
+    pathIndex, target, waitTime: Behaviour state
+}
+*/
+
+/**
+ * Creates an NPC from an object on a map's "Entities" layer.
+ * Point objects stand where they are placed, rectangles give the area to wander within,
+ * and polylines give the path to walk. The `behaviour` property can override this.
+ * @param {string} mapName The map the entity lives on.
+ * @param {object} obj The Tiled object.
+ * @returns {Promise<object>} The spawned entity.
+ */
+async function spawnEntity(mapName, obj) {
+    const props = core.getProperties(obj) || {};
+    if (!props.sprite) throw new Error(`Entity ${obj.id} on "${mapName}" is missing a \`sprite\` property.`);
+
+    const sheet = await loadSpritesheet(props.sprite, mapName);
+    const facing = props.facing === 'right' ? 'right' : 'left';
+    // Without a dedicated mask (or if it's missing), the whole sprite is solid
+    const maskImage = props.collision ? await loadImage(`collision/${props.collision}.png`, mapName) : null;
+    const collisionMap = maskImage && !isPlaceholderImage(maskImage)
+        ? loadCollisionMask(maskImage)
+        : loadCollisionMask(sheet.image, getAnimatorFrame(createAnimator(sheet, `idle_${facing}`)));
+
+    const path = obj.polyline ? obj.polyline.map(point => ({ x: obj.x + point.x, y: obj.y + point.y })) : null;
+    const area = !obj.point && !path && obj.width > 0 && obj.height > 0
+        ? { x: obj.x, y: obj.y, width: obj.width, height: obj.height }
+        : null;
+
+    const behaviour = props.behaviour || (path ? 'path' : area ? 'wander' : 'idle');
+    if (behaviour === 'path' && !path) console.warn(`Entity ${obj.id} on "${mapName}" has path behaviour but is not a polyline.`);
+    if (behaviour === 'wander' && !area) console.warn(`Entity ${obj.id} on "${mapName}" has wander behaviour but is not a rectangle.`);
+
+    const width = sheet.frameWidth;
+    const height = sheet.frameHeight;
+
+    // Spawn with the feet (bottom-centre) on the object's origin, or the middle of its area
+    const feet = path ? path[0] : area ? { x: area.x + area.width / 2, y: area.y + area.height / 2 } : { x: obj.x, y: obj.y };
+    const x = Math.round(feet.x - width / 2);
+    const y = Math.round(feet.y - height);
+
+    return {
+        id: obj.id,
+        location: mapName,
+        x, y,
+        prevX: x,
+        prevY: y,
+        width,
+        height,
+        animator: createAnimator(sheet, `idle_${facing}`),
+        facing,
+        collisionMap,
+        collisionBounds: core.getCollisionBounds(collisionMap),
+        collisionSpans: core.getCollisionSpans(collisionMap),
+        behaviour,
+        speed: props.speed ?? NPC_DEFAULT_SPEED,
+        pauseTime: props.pauseTime ?? NPC_DEFAULT_PAUSE_TIME,
+        area,
+        path,
+        pathIndex: 0,
+        target: null,
+        waitTime: 0
+    };
+}
+
+/**
+ * Checks whether two entities' collision boxes (their feet, not their whole sprite) overlap.
+ */
+function entitiesOverlap(a, ax, ay, b, bx, by) {
+    const boxA = a.collisionBounds;
+    const boxB = b.collisionBounds;
+    return ax + boxA.x < bx + boxB.x + boxB.width &&
+        ax + boxA.x + boxA.width > bx + boxB.x &&
+        ay + boxA.y < by + boxB.y + boxB.height &&
+        ay + boxA.y + boxA.height > by + boxB.y;
+}
+
+/**
+ * Checks whether moving an entity to (x, y) would walk it into a wall or into another entity.
+ * Entities that already overlap are allowed to separate.
+ */
+function isEntityBlocked(entity, x, y) {
+    if (core.checkWallCollision(game, x, y, entity)) return true;
+
+    const others = [player, ...game.maps[entity.location].entities];
+    return others.some(other => other !== entity &&
+        other.location === entity.location &&
+        other.collisionBounds &&
+        entitiesOverlap(entity, x, y, other, other.x, other.y) &&
+        !entitiesOverlap(entity, entity.x, entity.y, other, other.x, other.y));
+}
+
+/**
+ * Walks an entity's feet towards a point, moving axis by axis like the player.
+ * @returns {{reached: boolean, blocked: boolean}}
+ */
+function stepEntityTowards(entity, targetX, targetY, distance) {
+    const dx = targetX - (entity.x + entity.width / 2);
+    const dy = targetY - (entity.y + entity.height);
+    const length = Math.hypot(dx, dy);
+    if (length <= distance) {
+        return { reached: true, blocked: false };
+    }
+
+    if (Math.abs(dx) > 0.5) entity.facing = dx < 0 ? 'left' : 'right';
+
+    let moved = false;
+    const newY = entity.y + dy / length * distance;
+    if (!isEntityBlocked(entity, entity.x, newY)) {
+        entity.y = newY;
+        moved = true;
+    }
+    const newX = entity.x + dx / length * distance;
+    if (!isEntityBlocked(entity, newX, entity.y)) {
+        entity.x = newX;
+        moved = true;
+    }
+    return { reached: false, blocked: !moved };
+}
+
+function randomPointInArea(area) {
+    return {
+        x: area.x + Math.random() * area.width,
+        y: area.y + Math.random() * area.height
+    };
+}
+
+/**
+ * Advances one entity's behaviour and animation by a tick.
+ * @param {object} entity
+ * @param {number} dt The tick length in seconds.
+ */
+function updateEntity(entity, dt) {
+    entity.prevX = entity.x;
+    entity.prevY = entity.y;
+
+    updateEntityBehaviour(entity, dt);
+
+    const moving = entity.x !== entity.prevX || entity.y !== entity.prevY;
+    setAnimation(entity.animator, `${moving ? 'walk' : 'idle'}_${entity.facing}`);
+    updateAnimator(entity.animator, dt * 1000);
+}
+
+function updateEntityBehaviour(entity, dt) {
+    if (entity.waitTime > 0) {
+        entity.waitTime -= dt * 1000;
+        return;
+    }
+
+    if (entity.behaviour === 'wander' && entity.area) {
+        if (!entity.target) entity.target = randomPointInArea(entity.area);
+
+        const { reached, blocked } = stepEntityTowards(entity, entity.target.x, entity.target.y, entity.speed * dt);
+        if (reached || blocked) {
+            entity.target = null;
+            entity.waitTime = entity.pauseTime * (0.5 + Math.random());
+        }
+    } else if (entity.behaviour === 'path' && entity.path) {
+        const point = entity.path[entity.pathIndex];
+        const { reached, blocked } = stepEntityTowards(entity, point.x, point.y, entity.speed * dt);
+        if (reached) {
+            entity.pathIndex = (entity.pathIndex + 1) % entity.path.length;
+            entity.waitTime = entity.pauseTime;
+        } else if (blocked) {
+            entity.waitTime = NPC_BLOCKED_RETRY_TIME;
+        }
+    }
+}
+
+/**
+ * Advances every entity on a map by a tick.
+ * @param {object} map An entry of game.maps.
+ * @param {number} dt The tick length in seconds.
+ */
+function updateEntities(map, dt) {
+    for (const entity of map.entities) {
+        updateEntity(entity, dt);
+    }
+}
@@ -0,0 +1,340 @@
+const INPUT_ACTIONS = ['up', 'down', 'left', 'right', 'interact', 'quack', 'inventory', 'pause', 'menu', 'fullscreen'];
+
+// Two keys per action, by KeyboardEvent.code so bindings survive keyboard layouts. null leaves a slot empty.
+const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    interact: ['Space', 'Enter'],
+    quack: ['KeyQ', null],
+    inventory: ['KeyI', 'Tab'],
+    pause: ['KeyP', null],
+    menu: ['Escape', null],
+    fullscreen: ['KeyF', null]
+};
+
+// Buttons of the "standard" Gamepad API mapping
+const GAMEPAD_BUTTON_BINDINGS = {
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15],
+    interact: [0], // A / Cross
+    quack: [1, 2], // B / Circle, X / Square
+    inventory: [3], // Y / Triangle
+    pause: [9], // Start
+    menu: [8], // Back / Select
+    fullscreen: []
+};
+
+const GAMEPAD_DEADZONE = 0.25; // Stick travel ignored, as a fraction of full tilt
+const GAMEPAD_DIRECTION_THRESHOLD = 0.5; // Stick travel that counts as pressing a direction, for menus and dialogue
+const BINDINGS_STORAGE_KEY = 'mrQuackers.bindings';
+
+const input = {
+    bindings: null, // Key bindings per action, see DEFAULT_KEY_BINDINGS
+    actions: {}, // Per-action state: { sources: Set of what's holding it, latched, pressed, pressedAt }
+    keysDown: new Set(), // Codes of the keys currently held
+    stick: { x: 0, y: 0 }, // Left stick with the deadzone removed, -1 to 1
+    listeners: {}, // Callbacks per action for presses that need handling even while paused
+    rebinding: null, // { action, slot, onDone } while waiting for a key to bind
+    pressCount: 0 // Orders presses so the most recent direction wins
+};
+
+/* An action is down while any source (a key, a gamepad button, a touch control) holds it.
+   A press is latched when it happens and exposed as `pressed` for exactly one tick by updateInput,
+   so presses shorter than a tick still register and every consumer sees the same presses. */
+
+function resetActions() {
+    for (const action of INPUT_ACTIONS) {
+        input.actions[action] = { sources: new Set(), latched: false, pressed: false, pressedAt: 0 };
+    }
+}
+
+/**
+ * Loads the key bindings from localStorage, falling back to the defaults for anything missing or malformed.
+ */
+function loadBindings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Key bindings could not be read, using the defaults:', error);
+    }
+
+    input.bindings = {};
+    for (const action of INPUT_ACTIONS) {
+        const keys = stored[action];
+        const valid = Array.isArray(keys) && keys.length === 2 && keys.every(code => code === null || typeof code === 'string');
+        input.bindings[action] = valid ? [...keys] : [...DEFAULT_KEY_BINDINGS[action]];
+    }
+}
+
+function saveBindings() {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(input.bindings));
+    } catch (error) {
+        console.error('Failed to save key bindings:', error);
+    }
+}
+
+/**
+ * Binds a key to one of an action's two slots and persists the change.
+ * @param {string} action One of INPUT_ACTIONS.
+ * @param {number} slot 0 or 1.
+ * @param {string|null} code A KeyboardEvent.code, or null to clear the slot.
+ */
+function setKeyBinding(action, slot, code) {
+    input.bindings[action][slot] = code;
+    saveBindings();
+    refreshKeyboardActions();
+}
+
+function resetKeyBindings() {
+    localStorage.removeItem(BINDINGS_STORAGE_KEY);
+    loadBindings();
+    refreshKeyboardActions();
+}
+
+/**
+ * Turns a KeyboardEvent.code into something readable, e.g. 'KeyW' -> 'W', 'ArrowUp' -> 'Arrow Up'.
+ * @param {string|null} code
+ * @returns {string}
+ */
+function formatKeyCode(code) {
+    if (!code) return '-';
+    return code.replace(/^(Key|Digit)/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+/**
+ * Marks an action as held or released by one source. Pressing it when nothing else was holding it latches a press.
+ * @param {string} action
+ * @param {string} source e.g. 'keyboard', 'gamepad', 'touch'.
+ * @param {boolean} held
+ */
+function setActionSource(action, source, held) {
+    const state = input.actions[action];
+    const wasDown = state.sources.size > 0;
+
+    if (held) state.sources.add(source);
+    else state.sources.delete(source);
+
+    if (!wasDown && held) {
+        state.latched = true;
+        state.pressedAt = ++input.pressCount;
+        (input.listeners[action] || []).forEach(callback => callback());
+    }
+}
+
+function refreshKeyboardActions() {
+    for (const action of INPUT_ACTIONS) {
+        const held = input.bindings[action].some(code => code && input.keysDown.has(code));
+        setActionSource(action, 'keyboard', held);
+    }
+}
+
+/**
+ * Calls back whenever an action is pressed, including while the game is paused.
+ * @param {string} action
+ * @param {Function} callback
+ */
+function onActionPressed(action, callback) {
+    (input.listeners[action] ||= []).push(callback);
+}
+
+/**
+ * Waits for the next key press and binds it to an action instead of acting on it.
+ * Escape cancels and Backspace clears the slot.
+ * @param {string} action
+ * @param {number} slot 0 or 1.
+ * @param {Function} [onDone] Called once the binding has changed or been cancelled.
+ */
+function startRebinding(action, slot, onDone) {
+    input.rebinding = { action, slot, onDone };
+}
+
+const isRebinding = () => input.rebinding !== null;
+
+function handleRebindKey(code) {
+    const { action, slot, onDone } = input.rebinding;
+    input.rebinding = null;
+
+    if (code === 'Backspace') setKeyBinding(action, slot, null);
+    else if (code !== 'Escape') setKeyBinding(action, slot, code);
+
+    if (onDone) onDone();
+}
+
+/**
+ * Reads the first connected gamepad into the 'gamepad' source. Gamepads have no events for
+ * buttons, so this is called every frame (not every tick, so pause works while the simulation is stopped).
+ */
+function pollGamepads() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const gamepad = [...gamepads].find(pad => pad && pad.connected);
+
+    if (!gamepad) {
+        input.stick.x = 0;
+        input.stick.y = 0;
+        INPUT_ACTIONS.forEach(action => setActionSource(action, 'gamepad', false));
+        return;
+    }
+
+    // Rescale so the stick starts from 0 at the edge of the deadzone
+    const rawX = gamepad.axes[0] || 0;
+    const rawY = gamepad.axes[1] || 0;
+    const magnitude = Math.min(1, Math.hypot(rawX, rawY));
+    const scale = magnitude > GAMEPAD_DEADZONE ? (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE) / magnitude : 0;
+    input.stick.x = rawX * scale;
+    input.stick.y = rawY * scale;
+
+    const stickDirections = {
+        up: input.stick.y < -GAMEPAD_DIRECTION_THRESHOLD,
+        down: input.stick.y > GAMEPAD_DIRECTION_THRESHOLD,
+        left: input.stick.x < -GAMEPAD_DIRECTION_THRESHOLD,
+        right: input.stick.x > GAMEPAD_DIRECTION_THRESHOLD
+    };
+
+    for (const action of INPUT_ACTIONS) {
+        const buttonHeld = GAMEPAD_BUTTON_BINDINGS[action].some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed);
+        setActionSource(action, 'gamepad', buttonHeld || Boolean(stickDirections[action]));
+    }
+}
+
+/**
+ * Exposes the presses latched since the last tick. Call once at the start of every tick.
+ */
+function updateInput() {
+    for (const action of INPUT_ACTIONS) {
+        const state = input.actions[action];
+        state.pressed = state.latched;
+        state.latched = false;
+    }
+}
+
+const isActionDown = (action) => input.actions[action].sources.size > 0;
+
+/**
+ * Checks whether an action was pressed this tick, and uses the press up so nothing else acts on it too.
+ * @param {string} action
+ * @returns {boolean}
+ */
+function consumeAction(action) {
+    const state = input.actions[action];
+    const pressed = state.pressed;
+    state.pressed = false;
+    return pressed;
+}
+
+/**
+ * Drops any presses waiting to be handled, e.g. ones made while paused.
+ */
+function clearPressedActions() {
+    for (const action of INPUT_ACTIONS) {
+        input.actions[action].latched = false;
+        input.actions[action].pressed = false;
+    }
+}
+
+/**
+ * Gets the direction the player wants to move in. The stick gives analog values; otherwise, when both
+ * directions on an axis are held, the most recently pressed one wins.
+ * Diagonals are scaled down so moving diagonally isn't faster than moving straight.
+ * @returns {{x: number, y: number}} Each between -1 and 1, and no longer than 1 together.
+ */
+function getMoveAxis() {
+    let move;
+    if (input.stick.x !== 0 || input.stick.y !== 0) {
+        move = { x: input.stick.x, y: input.stick.y };
+    } else {
+        const axis = (negative, positive) => {
+            const negativeDown = isActionDown(negative);
+            const positiveDown = isActionDown(positive);
+            if (negativeDown && positiveDown) {
+                return input.actions[negative].pressedAt > input.actions[positive].pressedAt ? -1 : 1;
+            }
+            return negativeDown ? -1 : positiveDown ? 1 : 0;
+        };
+        move = { x: axis('left', 'right'), y: axis('up', 'down') };
+    }
+
+    const length = Math.hypot(move.x, move.y);
+    return length > 1 ? { x: move.x / length, y: move.y / length } : move;
+}
+
+/**
+ * Wires up the on-screen controls: buttons with a data-action attribute, and a d-pad that
+ * presses the directions towards wherever it's touched (so sliding a thumb around works).
+ * @param {HTMLElement} container
+ */
+function setupTouchControls(container) {
+    for (const button of container.querySelectorAll('[data-action]')) {
+        const action = button.dataset.action;
+        button.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            button.setPointerCapture(event.pointerId);
+            setActionSource(action, 'touch', true);
+        });
+        for (const type of ['pointerup', 'pointercancel']) {
+            button.addEventListener(type, () => setActionSource(action, 'touch', false));
+        }
+    }
+
+    const dpad = container.querySelector('.touch-dpad');
+    if (!dpad) return;
+
+    const setDirections = (event) => {
+        const rect = dpad.getBoundingClientRect();
+        const dx = event.clientX - (rect.left + rect.width / 2);
+        const dy = event.clientY - (rect.top + rect.height / 2);
+        // A small dead spot in the middle, then 8 directions
+        const threshold = Math.max(rect.width, rect.height) * 0.15;
+        setActionSource('left', 'touch', dx < -threshold && Math.abs(dx) > Math.abs(dy) / 2);
+        setActionSource('right', 'touch', dx > threshold && Math.abs(dx) > Math.abs(dy) / 2);
+        setActionSource('up', 'touch', dy < -threshold && Math.abs(dy) > Math.abs(dx) / 2);
+        setActionSource('down', 'touch', dy > threshold && Math.abs(dy) > Math.abs(dx) / 2);
+    };
+    const release = () => ['up', 'down', 'left', 'right'].forEach(action => setActionSource(action, 'touch', false));
+
+    dpad.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        dpad.setPointerCapture(event.pointerId);
+        setDirections(event);
+    });
+    dpad.addEventListener('pointermove', (event) => {
+        if (dpad.hasPointerCapture(event.pointerId)) setDirections(event);
+    });
+    dpad.addEventListener('pointerup', release);
+    dpad.addEventListener('pointercancel', release);
+}
+
+const hasTouchScreen = () => window.matchMedia('(pointer: coarse)').matches;
+
+document.addEventListener('keydown', (event) => {
+    if (isRebinding()) {
+        event.preventDefault();
+        handleRebindKey(event.code);
+        return;
+    }
+    if (event.repeat) return;
+
+    input.keysDown.add(event.code);
+    const bound = INPUT_ACTIONS.some(action => input.bindings[action].includes(event.code));
+    if (bound && event.target === document.body) event.preventDefault(); // Stop Space and the arrows scrolling the page
+    refreshKeyboardActions();
+});
+
+document.addEventListener('keyup', (event) => {
+    input.keysDown.delete(event.code);
+    refreshKeyboardActions();
+});
+
+// Keys released while the window is in the background never send a keyup
+window.addEventListener('blur', () => {
+    input.keysDown.clear();
+    refreshKeyboardActions();
+});
+
+resetActions();
+loadBindings();
@@ -0,0 +1,82 @@
+const INTERACTION_PROMPT_PADDING = 2; // HUD px inside the bubble
+const INTERACTION_PROMPT_GAP = 2; // HUD px between the bubble's tail and the top of the interactable
+const INTERACTION_HIGHLIGHT_COLOR = '#ffcd75';
+
+// What the bubble says for each interactable type, unless the object has a `prompt` of its own
+const INTERACTION_PROMPTS = {
+    door: 'ENTER',
+    move: 'GO',
+    moveRebound: 'REST',
+    dialogue: 'LOOK',
+    item: 'TAKE',
+    script: 'USE'
+};
+
+/* While the player is in reach of an interactable, a bubble over it shows the key that uses it and what
+   it does, e.g. "SPACE ENTER", and its sprite on the Foreground layer (its `foregroundObject`) is outlined.
+   Which interactable that is when several overlap is decided by compareInteractables in core/simulation.mjs. */
+
+/**
+ * Gets the interactable the prompt is for: the one the player would use, while they're free to use it.
+ * @returns {object|null} The Tiled object.
+ */
+function getPromptedInteractable() {
+    const currentMap = game.maps[player.location];
+    if (!currentMap || isPlayerBlocked()) return null;
+    return currentMap.currentInteractable;
+}
+
+/**
+ * Gets the id of the Foreground object to outline on a map, if any.
+ * @param {object} map An entry of game.maps.
+ * @returns {number|null}
+ */
+function getHighlightedForegroundObject(map) {
+    const target = getPromptedInteractable();
+    if (!target || map.name !== player.location) return null;
+    const { foregroundObject } = core.getProperties(target) || {};
+    return typeof foregroundObject === 'number' ? foregroundObject : null;
+}
+
+/**
+ * Gets the name of the control that uses an interactable: the A button on touch screens, otherwise the first
+ * key bound to interact.
+ * @returns {string} Empty if nothing is bound.
+ */
+function getInteractControlName() {
+    if (hasTouchScreen()) return 'A';
+    const code = input.bindings.interact.find(Boolean);
+    return code ? formatKeyCode(code) : '';
+}
+
+/**
+ * Draws the bubble over the interactable the player would use, pointing down at it.
+ * @param {CanvasRenderingContext2D} context The HUD.
+ */
+function drawInteractionPrompt(context) {
+    const target = getPromptedInteractable();
+    if (!target) return;
+
+    const props = core.getProperties(target) || {};
+    const control = getInteractControlName();
+    const text = typeof props.prompt === 'string' ? props.prompt : INTERACTION_PROMPTS[props.type] || 'USE';
+    const textX = control ? measurePixelText(`${control} `) + PIXEL_FONT_LETTER_SPACING : 0;
+    const width = textX + measurePixelText(text) + INTERACTION_PROMPT_PADDING * 2 + 2;
+    const height = PIXEL_FONT_HEIGHT + INTERACTION_PROMPT_PADDING * 2 + 2;
+
+    // Centred over the object and kept on screen. The tail stays over the object where it can
+    const tailX = Math.round((target.x + target.width / 2 - camera.x) * hud.scale);
+    const bob = Math.floor(loop.time / 500) % 2;
+    const x = Math.max(0, Math.min(hud.width - width, tailX - Math.floor(width / 2)));
+    const y = Math.max(0, Math.round((target.y - camera.y) * hud.scale) - INTERACTION_PROMPT_GAP - 2 - height - bob);
+
+    drawPanel(context, x, y, width, height);
+    const clampedTailX = Math.max(x + 2, Math.min(x + width - 3, tailX));
+    context.fillStyle = DIALOGUE_COLORS.border;
+    context.fillRect(clampedTailX - 1, y + height, 3, 1);
+    context.fillRect(clampedTailX, y + height + 1, 1, 1);
+
+    const textY = y + 1 + INTERACTION_PROMPT_PADDING;
+    if (control) drawPixelText(context, control, x + 1 + INTERACTION_PROMPT_PADDING, textY, DIALOGUE_COLORS.highlight);
+    drawPixelText(context, text, x + 1 + INTERACTION_PROMPT_PADDING + textX, textY, DIALOGUE_COLORS.text);
+}
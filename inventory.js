@@ -0,0 +1,163 @@
+const INVENTORY_SLOT_SIZE = 16; // In HUD pixels, including the 1px border around the icon
+const INVENTORY_SLOT_GAP = 2;
+const INVENTORY_PADDING = 3;
+
+/* Items are defined in data/items.json, keyed by id:
+{
+    "key": { "name": "House key", "description": "...", "icon": "tilesets/HouseDecor/key.png" }
+}
+   The player's inventory (game.inventory) maps item ids to how many are held, see hasItem, addItem and removeItem
+   in core/simulation.mjs. */
+
+const inventoryOverlay = {
+    open: false,
+    selected: 0 // Index into the held items, in the order they were picked up
+};
+
+/**
+ * Loads the item definitions and their icons into game.items.
+ * @returns {Promise<void>}
+ */
+async function loadItems() {
+    game.items = await fetchAsset('data/items.json');
+
+    await Promise.all(Object.values(game.items).map(async item => {
+        item.icon = await loadImage(item.icon); // Replace path string with the loaded image object
+    }));
+}
+
+/**
+ * Stops drawing a foreground object, e.g. an item that has been picked up.
+ * @param {object} map An entry of game.maps.
+ * @param {number} objectId The Tiled object id.
+ */
+function removeForegroundObject(map, objectId) {
+    map.sortedForegroundObjects = map.sortedForegroundObjects.filter(obj => obj.id !== objectId);
+}
+
+/**
+ * Checks whether an interactable is an item the player has already picked up.
+ * @param {string} mapName
+ * @param {object} obj The Tiled object.
+ */
+function isCollected(mapName, obj) {
+    const props = core.getProperties(obj);
+    return Boolean(props) && props.type === 'item' && core.getMapState(game, mapName).triggered.includes(obj.id);
+}
+
+/**
+ * Picks up an item interactable: adds it to the inventory and removes its foreground object.
+ * @param {object} map An entry of game.maps.
+ * @param {object} interactable The interactable's properties.
+ */
+function collectItem(map, interactable) {
+    const { itemId, count, foregroundObject } = interactable;
+    core.addItem(game, itemId, count ?? 1);
+    if (!undef(foregroundObject)) removeForegroundObject(map, foregroundObject);
+
+    audioEngine.playSound(sfx.pickup);
+    showToast(`GOT ${game.items[itemId].name}`);
+}
+
+/**
+ * Removes the foreground objects of the items already picked up on a map, e.g. when it loads or after loading a save.
+ * @param {string} mapName A key in game.maps.
+ */
+function removeCollectedObjects(mapName) {
+    const map = game.maps[mapName];
+    if (!map.interactablesLayer) return;
+
+    for (const obj of map.interactablesLayer.objects) {
+        const props = core.getProperties(obj);
+        if (isCollected(mapName, obj) && !undef(props.foregroundObject)) {
+            removeForegroundObject(map, props.foregroundObject);
+        }
+    }
+}
+
+const isInventoryOpen = () => inventoryOverlay.open;
+
+/**
+ * Opens and closes the inventory, and moves the selection while it's open.
+ */
+function updateInventory() {
+    if (consumeAction('inventory') && !isDialogueOpen()) {
+        inventoryOverlay.open = !inventoryOverlay.open;
+        inventoryOverlay.selected = 0;
+    }
+    if (!inventoryOverlay.open) return;
+
+    const count = Object.keys(game.inventory).length;
+    if (count === 0) return;
+
+    const columns = getInventoryColumns();
+    const moves = { left: -1, right: 1, up: -columns, down: columns };
+    for (const [action, step] of Object.entries(moves)) {
+        if (!consumeAction(action)) continue;
+        const target = inventoryOverlay.selected + step;
+        if (target >= 0 && target < count) inventoryOverlay.selected = target;
+    }
+}
+
+function getInventoryColumns() {
+    const innerWidth = hud.width - 2 - INVENTORY_PADDING * 2;
+    return Math.floor((innerWidth + INVENTORY_SLOT_GAP) / (INVENTORY_SLOT_SIZE + INVENTORY_SLOT_GAP));
+}
+
+/**
+ * Draws the inventory over the scene: a grid of held items, with the selected one's name and description below.
+ * @param {CanvasRenderingContext2D} context
+ */
+function drawInventory(context) {
+    if (!inventoryOverlay.open) return;
+
+    const box = { x: 1, y: 1, width: hud.width - 2, height: hud.height - 2 };
+    drawPanel(context, box.x, box.y, box.width, box.height);
+
+    const left = box.x + INVENTORY_PADDING;
+    drawPixelText(context, 'ITEMS', left, box.y + INVENTORY_PADDING, DIALOGUE_COLORS.highlight);
+
+    const itemIds = Object.keys(game.inventory);
+    const gridTop = box.y + INVENTORY_PADDING + PIXEL_FONT_LINE_HEIGHT;
+    if (itemIds.length === 0) {
+        drawPixelText(context, 'NOTHING YET', left, gridTop, DIALOGUE_COLORS.text);
+        return;
+    }
+
+    const columns = getInventoryColumns();
+    itemIds.forEach((itemId, i) => {
+        const x = left + (i % columns) * (INVENTORY_SLOT_SIZE + INVENTORY_SLOT_GAP);
+        const y = gridTop + Math.floor(i / columns) * (INVENTORY_SLOT_SIZE + INVENTORY_SLOT_GAP);
+        const selected = i === inventoryOverlay.selected;
+
+        context.fillStyle = selected ? DIALOGUE_COLORS.highlight : DIALOGUE_COLORS.border;
+        context.fillRect(x, y, INVENTORY_SLOT_SIZE, INVENTORY_SLOT_SIZE);
+        context.fillStyle = DIALOGUE_COLORS.box;
+        context.fillRect(x + 1, y + 1, INVENTORY_SLOT_SIZE - 2, INVENTORY_SLOT_SIZE - 2);
+
+        // Icons are world pixel art, so they're drawn near the world's scale, in whole HUD pixels
+        const icon = game.items[itemId].icon;
+        const iconScale = Math.max(1, Math.round(hud.scale));
+        const iconWidth = icon.width * iconScale;
+        const iconHeight = icon.height * iconScale;
+        context.drawImage(icon,
+            x + Math.floor((INVENTORY_SLOT_SIZE - iconWidth) / 2),
+            y + Math.floor((INVENTORY_SLOT_SIZE - iconHeight) / 2),
+            iconWidth, iconHeight);
+    });
+
+    // Name (with how many are held) and description of the selected item
+    const rows = Math.ceil(itemIds.length / columns);
+    let textY = gridTop + rows * (INVENTORY_SLOT_SIZE + INVENTORY_SLOT_GAP) + 1;
+    const selectedId = itemIds[inventoryOverlay.selected];
+    const item = game.items[selectedId];
+    const held = game.inventory[selectedId];
+    drawPixelText(context, held > 1 ? `${item.name} x${held}` : item.name, left, textY, DIALOGUE_COLORS.highlight);
+
+    const maxWidth = box.width - INVENTORY_PADDING * 2;
+    for (const line of wrapPixelText(item.description || '', maxWidth)) {
+        textY += PIXEL_FONT_LINE_HEIGHT;
+        if (textY + PIXEL_FONT_HEIGHT > box.y + box.height - INVENTORY_PADDING) break;
+        drawPixelText(context, line, left, textY, DIALOGUE_COLORS.text);
+    }
+}
@@ -0,0 +1,146 @@
+// The colour of the light over the whole scene through the day, by hour, blended between. White is full daylight
+const AMBIENT_KEYFRAMES = [
+    { hour: 0, colour: [56, 64, 128] },
+    { hour: 5, colour: [56, 64, 128] },
+    { hour: 6, colour: [208, 160, 168] },
+    { hour: 7, colour: [255, 255, 255] },
+    { hour: 18, colour: [255, 255, 255] },
+    { hour: 19, colour: [232, 152, 112] },
+    { hour: 20, colour: [56, 64, 128] },
+    { hour: 24, colour: [56, 64, 128] }
+];
+
+const LIGHT_DEFAULT_COLOUR = [255, 214, 150]; // Warm, like a lamp
+const LIGHT_DEFAULT_RADIUS = 24; // px
+
+/* The clock (game.time, minutes since midnight) runs while the game does and is saved with it, see core/clock.mjs.
+
+   Lighting is drawn over the scene each frame: an offscreen light buffer is filled with the ambient colour
+   for the time of day, point lights are added onto it, and the buffer is multiplied over the scene, so
+   anything outside a light takes on the ambient colour. In full daylight there's nothing to do.
+
+   Point lights are objects on a map's "Lights" layer, shining from their point (or the middle of their
+   rectangle), with these properties:
+   - colour: A Tiled colour. Its alpha is the light's brightness. Defaults to LIGHT_DEFAULT_COLOUR.
+   - radius: How far it reaches, in px. Defaults to LIGHT_DEFAULT_RADIUS.
+   - flicker: 0 to 1, how much its reach wavers, like a flame. Defaults to 0.
+   Maps that shouldn't follow the time of day, like interiors, set the `lighting` property to false. */
+
+const lightBuffer = document.createElement('canvas');
+const lightCtx = lightBuffer.getContext('2d');
+
+/**
+ * Gets the colour of the light over the scene at the current time.
+ * @returns {number[]} [r, g, b], 0 to 255.
+ */
+function getAmbientColour() {
+    const hour = game.time / 60;
+    const next = AMBIENT_KEYFRAMES.findIndex(keyframe => keyframe.hour > hour);
+    const from = AMBIENT_KEYFRAMES[next - 1];
+    const to = AMBIENT_KEYFRAMES[next];
+    const t = (hour - from.hour) / (to.hour - from.hour);
+    return from.colour.map((channel, i) => Math.round(lerp(channel, to.colour[i], t)));
+}
+
+/**
+ * Reads a Tiled colour, '#rrggbb' or '#aarrggbb'.
+ * @param {string} value
+ * @returns {{colour: number[], alpha: number}|null} colour is [r, g, b], alpha 0 to 1. null if it isn't a colour.
+ */
+function parseTiledColour(value) {
+    const match = typeof value === 'string' && /^#([0-9a-f]{2})?([0-9a-f]{6})$/i.exec(value);
+    if (!match) return null;
+    const rgb = parseInt(match[2], 16);
+    return {
+        colour: [rgb >> 16, (rgb >> 8) & 0xff, rgb & 0xff],
+        alpha: match[1] ? parseInt(match[1], 16) / 255 : 1
+    };
+}
+
+/**
+ * Reads the point lights from a map's "Lights" layer.
+ * @param {object|undefined} layer The Tiled object layer.
+ * @returns {Array<object>} { id, x, y, colour, intensity, radius, flicker }
+ */
+function parseLights(layer) {
+    if (!layer) return [];
+
+    return layer.objects.map(obj => {
+        const props = core.getProperties(obj) || {};
+        const parsed = props.colour === undefined ? null : parseTiledColour(props.colour);
+        if (props.colour !== undefined && !parsed) console.warn(`Light ${obj.id} has an unreadable \`colour\` "${props.colour}".`);
+        return {
+            id: obj.id,
+            x: obj.x + (obj.width || 0) / 2,
+            y: obj.y + (obj.height || 0) / 2,
+            colour: parsed ? parsed.colour : LIGHT_DEFAULT_COLOUR,
+            intensity: parsed ? parsed.alpha : 1,
+            radius: props.radius ?? LIGHT_DEFAULT_RADIUS,
+            flicker: props.flicker ?? 0
+        };
+    });
+}
+
+/**
+ * Gets how far a light reaches this frame, wavering if it flickers. Two out-of-step waves keep it from
+ * looking regular, and each light is offset by its id so they don't flicker together.
+ * @param {object} light
+ * @returns {number} px
+ */
+function getLightRadius(light) {
+    if (!light.flicker) return light.radius;
+    const t = loop.time / 1000;
+    const wave = (Math.sin(t * 11 + light.id * 1.7) + Math.sin(t * 17.3 + light.id * 4.1)) / 4 + 0.5; // 0 to 1
+    return light.radius * (1 - light.flicker * wave * 0.5);
+}
+
+/**
+ * Adds a point light to the light buffer, brightest in the middle and fading to nothing at its edge.
+ * @param {object} light
+ * @param {number} x Where it is in the view.
+ * @param {number} y
+ */
+function drawLight(light, x, y) {
+    const radius = getLightRadius(light);
+    if (x + radius < 0 || y + radius < 0 || x - radius > lightBuffer.width || y - radius > lightBuffer.height) return;
+
+    const [r, g, b] = light.colour;
+    const gradient = lightCtx.createRadialGradient(x, y, 0, x, y, radius);
+    gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${light.intensity})`);
+    gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+    lightCtx.fillStyle = gradient;
+    lightCtx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+}
+
+/**
+ * Lights the scene for the time of day, with the lights of the player's map and the maps next to it.
+ * Call straight after drawing the scene, with the camera still applied.
+ * @param {CanvasRenderingContext2D} context The world.
+ */
+function drawLighting(context) {
+    const currentMap = game.maps[player.location];
+    if (!currentMap || currentMap.properties.lighting === false) return;
+
+    const ambient = getAmbientColour();
+    if (ambient.every(channel => channel === 255)) return; // Daylight: lights can't make it any brighter
+
+    if (lightBuffer.width !== context.canvas.width || lightBuffer.height !== context.canvas.height) {
+        lightBuffer.width = context.canvas.width;
+        lightBuffer.height = context.canvas.height;
+    }
+    lightCtx.globalCompositeOperation = 'source-over';
+    lightCtx.fillStyle = `rgb(${ambient.join(', ')})`;
+    lightCtx.fillRect(0, 0, lightBuffer.width, lightBuffer.height);
+
+    lightCtx.globalCompositeOperation = 'lighter';
+    const maps = [{ map: currentMap, offset: { x: 0, y: 0 } }, ...getLoadedWorldNeighbours()];
+    for (const { map, offset } of maps) {
+        for (const light of map.lights) {
+            drawLight(light, Math.round(light.x + offset.x - camera.x), Math.round(light.y + offset.y - camera.y));
+        }
+    }
+
+    context.globalCompositeOperation = 'multiply';
+    context.drawImage(lightBuffer, 0, 0);
+    context.globalCompositeOperation = 'source-over';
+}
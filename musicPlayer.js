@@ -0,0 +1,107 @@
+/* Maps name their music in a `music` property: a track id from data/music.json, or several ids separated by
+   commas for a playlist, which plays them in turn and starts over after the last. A single track loops by itself.
+
+   Leaving a playlist remembers where it got to, so coming back to it carries on from there rather than from the
+   start. Maps with the same music play the same playlist, so walking between them doesn't interrupt it. */
+
+const musicPlayer = {
+    playlist: null, // { key, tracks } playing now, or null for silence
+    trackIndex: 0, // Which of its tracks is playing
+    resumePoints: {} // { trackIndex, position } (position in ms) keyed by playlist key, for playlists left part way
+};
+
+/**
+ * Loads a music track: its bundled file, or the fallback if that can't be loaded. Counted as one download
+ * towards the progress, which only fails if every source does.
+ * @param {string} trackId A key in game.music.
+ * @param {string} owner Who wants it, e.g. a map name, see loadAsset.
+ * @returns {Promise<object|null>} { id, buffer, loopStart, loopEnd } for audioEngine.playMusic, or null if it
+ *          couldn't be loaded, in which case the playlist carries on without it. Nothing that failed is cached,
+ *          so the next map that wants it tries again.
+ */
+function loadTrack(trackId, owner) {
+    const definition = game.music[trackId];
+    if (!definition) {
+        console.error(`Music "${trackId}" is not in data/music.json.`);
+        return Promise.resolve(null);
+    }
+
+    const loaded = (async () => {
+        for (const src of [definition.src, definition.fallback].filter(Boolean)) {
+            try {
+                const buffer = await loadMusicSource(src, owner);
+                return { id: trackId, buffer, loopStart: definition.loopStart || 0, loopEnd: definition.loopEnd || 0 };
+            } catch (error) {
+                console.warn(`Couldn't load music "${trackId}" from ${src}:`, error);
+            }
+        }
+        throw new Error(`Failed to load music "${trackId}".`);
+    })();
+    return trackAssetProgress(definition.src, loaded).catch(error => {
+        console.error(error.message);
+        return null;
+    });
+}
+
+/**
+ * Loads a map's music. The tracks are loaded once however many maps use them, see loadTrack.
+ * @param {string} spec A track id, or several separated by commas.
+ * @param {string} owner The map's name, see loadAsset.
+ * @returns {Promise<object|null>} { key, tracks }, or null if none of its tracks could be loaded.
+ */
+async function loadPlaylist(spec, owner) {
+    const trackIds = spec.split(',').map(id => id.trim()).filter(Boolean);
+    const tracks = (await Promise.all(trackIds.map(trackId => loadTrack(trackId, owner)))).filter(Boolean);
+    return tracks.length ? { key: trackIds.join(','), tracks } : null;
+}
+
+/**
+ * Saves where the playing playlist has got to, for when it's played again.
+ */
+function rememberMusicPosition() {
+    const { playlist, trackIndex } = musicPlayer;
+    const playing = audioEngine.getMusicTrack();
+    if (!playlist || !playing || playing.id !== playlist.tracks[trackIndex].id) return;
+    musicPlayer.resumePoints[playlist.key] = { trackIndex, position: audioEngine.getPosition() };
+}
+
+/**
+ * Switches to a playlist, crossfading from whatever was playing. Carries on from where it was left, if it's been
+ * played before. Does nothing if it's already playing.
+ * @param {object|null} playlist From loadPlaylist, or null to fade to silence.
+ * @param {object} [fades] fadeInTime and fadeOutTime in seconds, as for audioEngine.playMusic.
+ */
+function playPlaylist(playlist, fades = {}) {
+    if ((playlist && playlist.key) === (musicPlayer.playlist && musicPlayer.playlist.key)) return;
+
+    rememberMusicPosition();
+    musicPlayer.playlist = playlist;
+    if (!playlist) {
+        audioEngine.playMusic(null, fades);
+        return;
+    }
+
+    const resume = musicPlayer.resumePoints[playlist.key] || { trackIndex: 0, position: 0 };
+    playPlaylistTrack(resume.trackIndex, resume.position, fades);
+}
+
+/**
+ * Plays one track of the current playlist, moving on to the next when it finishes.
+ * @param {number} trackIndex Wraps round past the last track.
+ * @param {number} position Where to start, in ms.
+ * @param {object} fades
+ */
+function playPlaylistTrack(trackIndex, position, fades) {
+    const playlist = musicPlayer.playlist;
+    const looping = playlist.tracks.length === 1;
+    musicPlayer.trackIndex = trackIndex % playlist.tracks.length;
+
+    audioEngine.playMusic(playlist.tracks[musicPlayer.trackIndex], {
+        ...fades,
+        loop: looping,
+        offset: position / 1000,
+        onEnded: looping ? null : () => {
+            if (musicPlayer.playlist === playlist) playPlaylistTrack(musicPlayer.trackIndex + 1, 0, { fadeInTime: 0, fadeOutTime: 0 });
+        }
+    });
+}
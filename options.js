@@ -0,0 +1,115 @@
+const ACTION_LABELS = {
+    up: 'Up',
+    down: 'Down',
+    left: 'Left',
+    right: 'Right',
+    interact: 'Interact',
+    quack: 'Quack',
+    inventory: 'Inventory',
+    pause: 'Pause',
+    menu: 'Menu',
+    fullscreen: 'Fullscreen'
+};
+
+const BUS_LABELS = {
+    master: 'Master',
+    music: 'Music',
+    sfx: 'Effects',
+    ambience: 'Ambience'
+};
+
+const optionsMenu = document.getElementById('options-menu');
+const mixerList = document.getElementById('mixer-list');
+const resetMixerButton = document.getElementById('reset-mixer-button');
+const bindingList = document.getElementById('binding-list');
+const resetBindingsButton = document.getElementById('reset-bindings-button');
+const optionsBackButton = document.getElementById('options-back-button');
+
+let onOptionsClosed = null;
+
+/**
+ * Rebuilds the volume controls: a slider and a mute box per bus. Changes apply (and save) as they're made.
+ */
+function renderMixerList() {
+    mixerList.replaceChildren(...AUDIO_BUSES.map(bus => {
+        const settings = audioEngine.mixer[bus];
+        const row = document.createElement('div');
+        row.className = 'mixer-row';
+
+        const label = document.createElement('span');
+        label.textContent = BUS_LABELS[bus];
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = 100;
+        slider.value = Math.round(settings.volume * 100);
+        slider.addEventListener('input', () => audioEngine.setBusVolume(bus, slider.value / 100));
+
+        const muteLabel = document.createElement('label');
+        const muteBox = document.createElement('input');
+        muteBox.type = 'checkbox';
+        muteBox.checked = settings.muted;
+        muteBox.addEventListener('change', () => audioEngine.setBusMuted(bus, muteBox.checked));
+        muteLabel.append(muteBox, ' Mute');
+
+        row.append(label, slider, muteLabel);
+        return row;
+    }));
+}
+
+/**
+ * Rebuilds the list of actions, each with a button per key slot. Clicking one waits for a key to bind.
+ */
+function renderBindingList() {
+    bindingList.replaceChildren(...INPUT_ACTIONS.map(action => {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+
+        const label = document.createElement('span');
+        label.textContent = ACTION_LABELS[action];
+        row.append(label);
+
+        input.bindings[action].forEach((code, slot) => {
+            const bindButton = document.createElement('button');
+            bindButton.textContent = formatKeyCode(code);
+            bindButton.addEventListener('click', () => {
+                bindButton.textContent = 'Press a key...';
+                startRebinding(action, slot, renderBindingList);
+            });
+            row.append(bindButton);
+        });
+        return row;
+    }));
+}
+
+/**
+ * Shows the options screen.
+ * @param {Function} [onClosed] Called when the screen is closed again.
+ */
+function openOptions(onClosed) {
+    onOptionsClosed = onClosed || null;
+    renderMixerList();
+    renderBindingList();
+    optionsMenu.hidden = false;
+}
+
+function closeOptions() {
+    if (isRebinding()) return;
+
+    optionsMenu.hidden = true;
+    if (onOptionsClosed) onOptionsClosed();
+    onOptionsClosed = null;
+}
+
+const isOptionsOpen = () => !optionsMenu.hidden;
+
+resetMixerButton.addEventListener('click', () => {
+    audioEngine.resetMixer();
+    renderMixerList();
+});
+resetBindingsButton.addEventListener('click', () => {
+    resetKeyBindings();
+    renderBindingList();
+});
+optionsBackButton.addEventListener('click', closeOptions);
@@ -0,0 +1,153 @@
+// A tiny 3x5 bitmap font, so text stays crisp on the low resolution canvas.
+// Each glyph is 5 rows of 3 columns; '1' is a filled pixel. Lowercase letters are drawn as uppercase.
+const PIXEL_FONT_GLYPHS = {
+    'A': ['010', '101', '111', '101', '101'],
+    'B': ['110', '101', '110', '101', '110'],
+    'C': ['011', '100', '100', '100', '011'],
+    'D': ['110', '101', '101', '101', '110'],
+    'E': ['111', '100', '110', '100', '111'],
+    'F': ['111', '100', '110', '100', '100'],
+    'G': ['011', '100', '101', '101', '011'],
+    'H': ['101', '101', '111', '101', '101'],
+    'I': ['111', '010', '010', '010', '111'],
+    'J': ['001', '001', '001', '101', '010'],
+    'K': ['101', '101', '110', '101', '101'],
+    'L': ['100', '100', '100', '100', '111'],
+    'M': ['101', '111', '111', '101', '101'],
+    'N': ['110', '101', '101', '101', '101'],
+    'O': ['010', '101', '101', '101', '010'],
+    'P': ['110', '101', '110', '100', '100'],
+    'Q': ['010', '101', '101', '110', '011'],
+    'R': ['110', '101', '110', '101', '101'],
+    'S': ['011', '100', '010', '001', '110'],
+    'T': ['111', '010', '010', '010', '010'],
+    'U': ['101', '101', '101', '101', '111'],
+    'V': ['101', '101', '101', '101', '010'],
+    'W': ['101', '101', '111', '111', '101'],
+    'X': ['101', '101', '010', '101', '101'],
+    'Y': ['101', '101', '010', '010', '010'],
+    'Z': ['111', '001', '010', '100', '111'],
+    '0': ['111', '101', '101', '101', '111'],
+    '1': ['010', '110', '010', '010', '111'],
+    '2': ['110', '001', '010', '100', '111'],
+    '3': ['110', '001', '010', '001', '110'],
+    '4': ['101', '101', '111', '001', '001'],
+    '5': ['111', '100', '110', '001', '110'],
+    '6': ['011', '100', '111', '101', '111'],
+    '7': ['111', '001', '010', '010', '010'],
+    '8': ['111', '101', '111', '101', '111'],
+    '9': ['111', '101', '111', '001', '110'],
+    '.': ['000', '000', '000', '000', '010'],
+    ',': ['000', '000', '000', '010', '100'],
+    '!': ['010', '010', '010', '000', '010'],
+    '?': ['110', '001', '010', '000', '010'],
+    "'": ['010', '010', '000', '000', '000'],
+    '"': ['101', '101', '000', '000', '000'],
+    '-': ['000', '000', '111', '000', '000'],
+    ':': ['000', '010', '000', '010', '000'],
+    ';': ['000', '010', '000', '010', '100'],
+    '(': ['001', '010', '010', '010', '001'],
+    ')': ['100', '010', '010', '010', '100'],
+    '/': ['001', '001', '010', '100', '100'],
+    '+': ['000', '010', '111', '010', '000'],
+    '=': ['000', '111', '000', '111', '000'],
+    '<': ['001', '010', '100', '010', '001'],
+    '>': ['100', '010', '001', '010', '100'],
+    '_': ['000', '000', '000', '000', '111'],
+    '*': ['000', '101', '010', '101', '000'],
+    '%': ['101', '001', '010', '100', '101'],
+    '&': ['010', '101', '010', '101', '011'],
+    '#': ['101', '111', '101', '111', '101'],
+};
+
+const PIXEL_FONT_HEIGHT = 5;
+const PIXEL_FONT_SPACE_WIDTH = 2;
+const PIXEL_FONT_LETTER_SPACING = 1;
+const PIXEL_FONT_LINE_HEIGHT = PIXEL_FONT_HEIGHT + 2;
+
+/**
+ * Converts the glyph table into lists of filled pixels, trimming empty columns so narrow glyphs ('.', '!') take less space.
+ */
+const pixelFont = Object.fromEntries(Object.entries(PIXEL_FONT_GLYPHS).map(([char, rows]) => {
+    const pixels = [];
+    let minCol = Infinity;
+    let maxCol = -Infinity;
+    rows.forEach((row, y) => {
+        [...row].forEach((bit, x) => {
+            if (bit !== '1') return;
+            pixels.push([x, y]);
+            minCol = Math.min(minCol, x);
+            maxCol = Math.max(maxCol, x);
+        });
+    });
+    return [char, {
+        pixels: pixels.map(([x, y]) => [x - minCol, y]),
+        width: maxCol - minCol + 1
+    }];
+}));
+
+function getGlyph(char) {
+    return pixelFont[char.toUpperCase()] || pixelFont['?'];
+}
+
+/**
+ * Measures the width of a single line of text in pixels.
+ * @param {string} text The text to measure.
+ * @returns {number}
+ */
+function measurePixelText(text) {
+    let width = 0;
+    for (const char of text) {
+        width += (char === ' ' ? PIXEL_FONT_SPACE_WIDTH : getGlyph(char).width) + PIXEL_FONT_LETTER_SPACING;
+    }
+    return Math.max(0, width - PIXEL_FONT_LETTER_SPACING);
+}
+
+/**
+ * Splits text into lines that fit within a width, breaking on spaces (and explicit newlines).
+ * @param {string} text The text to wrap.
+ * @param {number} maxWidth The maximum line width in pixels.
+ * @returns {string[]}
+ */
+function wrapPixelText(text, maxWidth) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && measurePixelText(candidate) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Draws a single line of text with its top-left corner at (x, y).
+ * @param {CanvasRenderingContext2D} context The context to draw to.
+ * @param {string} text The text to draw.
+ * @param {number} x
+ * @param {number} y
+ * @param {string} [color='#ffffff']
+ */
+function drawPixelText(context, text, x, y, color = '#ffffff') {
+    context.fillStyle = color;
+    let cursorX = Math.round(x);
+    const top = Math.round(y);
+    for (const char of text) {
+        if (char === ' ') {
+            cursorX += PIXEL_FONT_SPACE_WIDTH + PIXEL_FONT_LETTER_SPACING;
+            continue;
+        }
+        const glyph = getGlyph(char);
+        for (const [px, py] of glyph.pixels) {
+            context.fillRect(cursorX + px, top + py, 1, 1);
+        }
+        cursorX += glyph.width + PIXEL_FONT_LETTER_SPACING;
+    }
+}
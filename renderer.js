@@ -0,0 +1,162 @@
+const DEFAULT_VIEW_WIDTH = 100; // The internal resolution: how many world pixels the camera shows
+const DEFAULT_VIEW_HEIGHT = 64;
+const MAX_VIEW_SIZE = 1024; // In world pixels, on either side
+const HUD_SCALE = 2; // The fewest HUD pixels per world pixel, so text and menus are finer than the world
+
+/* Each frame is drawn in two passes, to two buffers:
+   - the world (maps, entities, transitions and fades) to `canvas` through `ctx`, at the internal resolution,
+   - the HUD (dialogue, the inventory, overlays and other text) to `hud.canvas` through `hud.ctx`, finer than
+     the world, drawn over it with transparency.
+   presentFrame then scales both onto the screen canvas (the page's #game-canvas) by the largest whole number
+   that fits, so every world pixel is the same size, and fills the rest with black bars. HUD pixels are a
+   whole number of screen pixels too where the window allows, as many as still gives at least HUD_SCALE to
+   a world pixel, so the HUD is never smaller than HUD_SCALE times the world: exactly that at even scales,
+   a little bigger at odd ones. Lay it out from hud.width and hud.height, and use hud.scale to line things
+   up with the world.
+
+   The screen canvas is sized in device pixels to whatever the page gives it, and follows resizes and
+   fullscreen. */
+
+const gameContainer = document.getElementById('game-container');
+const screenCanvas = document.getElementById('game-canvas');
+const screenCtx = screenCanvas.getContext('2d');
+
+const canvas = document.createElement('canvas'); // The world buffer
+const ctx = canvas.getContext('2d');
+
+const hud = {
+    canvas: document.createElement('canvas'),
+    ctx: null,
+    width: 0, // In HUD pixels
+    height: 0,
+    pixelSize: 1, // Screen pixels per HUD pixel, a whole number unless the window is too small, see sizeHud
+    scale: 1 // HUD pixels per world pixel, not always a whole number, see sizeHud
+};
+hud.ctx = hud.canvas.getContext('2d');
+
+const renderer = {
+    scale: 1, // Screen pixels per world pixel
+    x: 0, // Where the world's top-left is drawn on the screen canvas, in screen pixels
+    y: 0
+};
+
+function sizeBuffers(width, height) {
+    canvas.width = width;
+    canvas.height = height;
+    sizeHud();
+}
+
+/**
+ * Sizes the HUD for the world's size and scale on screen, so its pixels land on whole screen pixels where they can.
+ */
+function sizeHud() {
+    // In a window too small to show the world at HUD_SCALE, the HUD is still drawn at HUD_SCALE and shrunk onto
+    // the screen with smoothing, so its text stays the same size next to the world but comes out blurred
+    hud.pixelSize = renderer.scale >= HUD_SCALE ? Math.floor(renderer.scale / HUD_SCALE) : renderer.scale / HUD_SCALE;
+    hud.scale = renderer.scale / hud.pixelSize;
+    // Rounded down, so at odd scales the HUD can stop a screen pixel or two short of the world's far edges
+    hud.canvas.width = hud.width = Math.floor(canvas.width * hud.scale);
+    hud.canvas.height = hud.height = Math.floor(canvas.height * hud.scale);
+    hud.ctx.imageSmoothingEnabled = false; // Reset by resizing. Keeps scaled-up icons crisp
+}
+sizeBuffers(DEFAULT_VIEW_WIDTH, DEFAULT_VIEW_HEIGHT);
+
+/**
+ * Reads the internal resolution asked for in the page's address, as `?view=WIDTHxHEIGHT`, e.g. `?view=160x96`
+ * to see more of the map around the player. Maps smaller than the view sit in its top-left corner.
+ * @returns {{width: number, height: number}} The default size if none is given or it's out of range.
+ */
+function getRequestedViewSize() {
+    const requested = new URLSearchParams(window.location.search).get('view');
+    if (requested === null) return { width: DEFAULT_VIEW_WIDTH, height: DEFAULT_VIEW_HEIGHT };
+
+    const match = /^(\d+)x(\d+)$/.exec(requested);
+    const width = match ? Number(match[1]) : 0;
+    const height = match ? Number(match[2]) : 0;
+    // No smaller than the default, which the HUD's layouts are made for
+    if (width < DEFAULT_VIEW_WIDTH || height < DEFAULT_VIEW_HEIGHT || width > MAX_VIEW_SIZE || height > MAX_VIEW_SIZE) {
+        console.warn(`Ignoring view size "${requested}": expected WIDTHxHEIGHT from ${DEFAULT_VIEW_WIDTH}x${DEFAULT_VIEW_HEIGHT} to ${MAX_VIEW_SIZE}x${MAX_VIEW_SIZE}.`);
+        return { width: DEFAULT_VIEW_WIDTH, height: DEFAULT_VIEW_HEIGHT };
+    }
+    return { width, height };
+}
+
+/**
+ * Changes the internal resolution. The camera shows this many world pixels, and the HUD grows to match.
+ * startGame sets it from getRequestedViewSize.
+ * @param {number} width In world pixels.
+ * @param {number} height
+ */
+function setViewSize(width, height) {
+    sizeBuffers(width, height);
+    camera.width = width;
+    camera.height = height;
+    resizeScreen();
+}
+
+/**
+ * Sizes the screen canvas to the space the page gives it and works out the scale and letterboxing.
+ * Called when the window changes size, and when the game is shown.
+ */
+function resizeScreen() {
+    const pixelRatio = window.devicePixelRatio || 1;
+    screenCanvas.width = Math.max(1, Math.round(screenCanvas.clientWidth * pixelRatio));
+    screenCanvas.height = Math.max(1, Math.round(screenCanvas.clientHeight * pixelRatio));
+
+    renderer.scale = Math.max(1, Math.floor(Math.min(screenCanvas.width / canvas.width, screenCanvas.height / canvas.height)));
+    renderer.x = Math.floor((screenCanvas.width - canvas.width * renderer.scale) / 2);
+    renderer.y = Math.floor((screenCanvas.height - canvas.height * renderer.scale) / 2);
+    sizeHud();
+    presentFrame(); // Resizing clears the screen canvas, so put the last frame back
+}
+
+/**
+ * Clears the HUD, ready for this frame's overlays.
+ */
+function clearHud() {
+    hud.ctx.clearRect(0, 0, hud.width, hud.height);
+}
+
+/**
+ * Scales the world and the HUD up onto the screen canvas.
+ */
+function presentFrame() {
+    screenCtx.imageSmoothingEnabled = false; // Reset whenever the canvas is resized
+    screenCtx.fillStyle = '#000000';
+    screenCtx.fillRect(0, 0, screenCanvas.width, screenCanvas.height);
+
+    const width = canvas.width * renderer.scale;
+    const height = canvas.height * renderer.scale;
+    screenCtx.drawImage(canvas, renderer.x, renderer.y, width, height);
+    screenCtx.imageSmoothingEnabled = hud.pixelSize < 1; // Shrinking the HUD, see sizeHud
+    screenCtx.drawImage(hud.canvas, renderer.x, renderer.y, hud.width * hud.pixelSize, hud.height * hud.pixelSize);
+}
+
+/**
+ * Converts a point on the page, e.g. a mouse event's clientX and clientY, to world pixels in the view.
+ * Add the camera's position to get a position on the map.
+ * @param {number} clientX CSS pixels.
+ * @param {number} clientY
+ * @returns {{x: number, y: number}} May be fractional, or outside the view over the black bars.
+ */
+function clientToViewPoint(clientX, clientY) {
+    const rect = screenCanvas.getBoundingClientRect();
+    const pixelRatio = screenCanvas.width / rect.width; // Screen pixels per CSS pixel
+    return {
+        x: ((clientX - rect.left) * pixelRatio - renderer.x) / renderer.scale,
+        y: ((clientY - rect.top) * pixelRatio - renderer.y) / renderer.scale
+    };
+}
+
+/**
+ * Switches the game in and out of fullscreen. Browsers only allow it in response to a key press or a click.
+ */
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (gameContainer.requestFullscreen) {
+        gameContainer.requestFullscreen().catch(error => console.warn('Fullscreen was refused:', error));
+    }
+}
+
+window.addEventListener('resize', resizeScreen);
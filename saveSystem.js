@@ -0,0 +1,144 @@
+const SAVE_VERSION = 3;
+const SAVE_KEY_PREFIX = 'mrQuackers.save.';
+const AUTOSAVE_SLOT = 'autosave';
+const SAVE_SLOTS = [AUTOSAVE_SLOT, 'slot1', 'slot2', 'slot3'];
+
+/**
+ * Upgrades older saves. Each entry takes a save of that version and returns it in the next version's shape,
+ * so a save is migrated one step at a time until it reaches SAVE_VERSION. Never edit an entry once released.
+ */
+const saveMigrations = {
+    1: (save) => ({ ...save, version: 2, inventory: {} }),
+    2: (save) => ({ ...save, version: 3, time: core.NEW_GAME_TIME }),
+};
+
+/* A save has this structure:
+{
+    version: SAVE_VERSION,
+    savedAt: Timestamp in ms,
+    player: { location, x, y, facing },
+    mapStates: Per-map state keyed by map name, e.g. { house1: { triggered: [objectId, ...] } },
+    flags: Story flags, e.g. { metTheFrog: true },
+    inventory: Item counts keyed by item id, e.g. { key: 1 },
+    time: In-game minutes since midnight, see core/clock.mjs
+}
+*/
+
+/**
+ * Captures the current game state as a plain object ready to be stored.
+ * @returns {object}
+ */
+function createSaveData() {
+    // Mid-moveRebound, save where the player is going to be put back rather than on top of the furniture
+    const position = player.rebound || player;
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        player: {
+            location: player.location,
+            x: position.x,
+            y: position.y,
+            facing: position.facing
+        },
+        mapStates: structuredClone(game.mapStates),
+        flags: { ...game.flags },
+        inventory: { ...game.inventory },
+        time: game.time
+    };
+}
+
+/**
+ * Restores the game state from a save. The map the player is on must already be loaded.
+ * @param {object} save A save at the current SAVE_VERSION.
+ */
+function applySaveData(save) {
+    if (!game.maps[save.player.location]) {
+        throw new Error(`Save refers to map "${save.player.location}", which isn't loaded.`);
+    }
+
+    stopScripts();
+    stopTransition();
+    player.location = save.player.location;
+    core.placePlayer(player, save.player.x, save.player.y);
+    setPlayerFacing(save.player.facing);
+    player.aboveForeground = false;
+    player.rebound = null;
+
+    game.mapStates = structuredClone(save.mapStates);
+    game.flags = { ...save.flags };
+    game.inventory = { ...save.inventory };
+    game.time = save.time;
+    Object.keys(game.maps).forEach(removeCollectedObjects);
+    snapCamera();
+}
+
+/**
+ * Brings a save up to SAVE_VERSION by running each migration in turn.
+ * @param {object} save
+ * @returns {object|null} The migrated save, or null if it can't be migrated.
+ */
+function migrateSave(save) {
+    let migrated = save;
+    while (migrated.version < SAVE_VERSION) {
+        const migration = saveMigrations[migrated.version];
+        if (!migration) {
+            console.warn(`No migration from save version ${migrated.version}.`);
+            return null;
+        }
+        migrated = migration(migrated);
+    }
+    if (migrated.version > SAVE_VERSION) {
+        console.warn(`Save version ${migrated.version} is newer than this game supports.`);
+        return null;
+    }
+    return migrated;
+}
+
+/**
+ * Writes the current game state to a slot.
+ * @param {string} slot One of SAVE_SLOTS.
+ * @returns {boolean} Whether the save succeeded.
+ */
+function writeSave(slot) {
+    try {
+        localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(createSaveData()));
+        return true;
+    } catch (error) {
+        console.error(`Failed to save to "${slot}":`, error);
+        return false;
+    }
+}
+
+/**
+ * Reads and migrates the save in a slot.
+ * @param {string} slot One of SAVE_SLOTS.
+ * @returns {object|null} The save, or null if the slot is empty or unreadable.
+ */
+function readSave(slot) {
+    const json = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+    if (!json) return null;
+
+    try {
+        const save = JSON.parse(json);
+        if (typeof save.version !== 'number' || !save.player) {
+            console.warn(`Save in "${slot}" is malformed.`);
+            return null;
+        }
+        return migrateSave(save);
+    } catch (error) {
+        console.warn(`Save in "${slot}" could not be read:`, error);
+        return null;
+    }
+}
+
+/**
+ * Finds the most recently written save across all slots.
+ * @returns {object|null}
+ */
+function readLatestSave() {
+    return SAVE_SLOTS
+        .map(readSave)
+        .filter(save => save)
+        .reduce((latest, save) => (!latest || save.savedAt > latest.savedAt ? save : latest), null);
+}
@@ -1,291 +1,402 @@
-const canvas = document.querySelector('#game-canvas');
-const ctx = canvas.getContext('2d');
-
 const camera = {
-    x: 0,
+    x: 0, // Top-left of the view for the frame being drawn, see applyCameraView
     y: 0,
-    width: canvas.width,
-    height: canvas.height
+    width: canvas.width, // The internal resolution, see renderer.js
+    height: canvas.height,
+    posX: 0, // Top-left at the current tick, see camera.js
+    posY: 0,
+    prevPosX: 0, // Top-left at the previous tick, for interpolation
+    prevPosY: 0,
+    location: null, // The map the camera is following the player on
+    pan: null, // { from, to, toPlayer, elapsed, duration } while panning or held by panCamera
+    shake: { intensity: 0, duration: 0, remaining: 0, offsetX: 0, offsetY: 0 }
 };
 
-const player = {
-    x: 0,
-    y: 0,
-    xVel: 0,
-    yVel: 0,
-    acc: 1,
-    terminalVel: 1,
-    facing: 'left',
-    location: '',
-    aboveForeground: false, // used in moveRebound interactables
-    quacked: false, // sound shenanigans
+// --- TIMING ---
+const TICK_RATE = 60; // Simulation updates per second
+const TICK_DURATION = 1000 / TICK_RATE; // Length of one simulation tick in ms
+const MAX_FRAME_TIME = 250; // Clamp for long frames (e.g. after a breakpoint) so we don't spiral trying to catch up
+
+const loop = {
+    frameId: null,
+    lastTime: 0,
+    accumulator: 0, // Unsimulated time carried over between frames, in ms
+    alpha: 0, // How far we are between the previous and current tick, used to interpolate rendering
+    time: 0, // Total simulated time in ms (frozen while paused)
+    paused: false,
 };
 
-const keysPressed = {
-    up: 0,
-    down: 0,
-    left: 0,
-    right: 0,
-    space: 0
-};
+
+// Where the player is and how they're moving, see createPlayer in core/simulation.mjs. loadAssets adds the rest
+const player = core.createPlayer();
 
 // Global object to hold map data and assets
 const game = {
-    maps: {}, // Will be keyed by map name, e.g., 'house1'
-    tileImages: {}, // Maps a GID to its loaded image (global cache)
-    characters: {},
+    ...core.createGame(player), // The player, maps, mapStates, flags, inventory and time, see core/simulation.mjs
+    mapLoads: {}, // Promises of maps being loaded (or already loaded), keyed by map name
+    dialogue: {}, // Dialogue pages keyed by id, from data/dialogue.json
+    items: {}, // Item definitions keyed by id, from data/items.json, see inventory.js
+    scripts: {}, // Action sequences keyed by name, from data/scripts.json, see scripts.js
+    music: {}, // Music tracks keyed by id, from data/music.json, see loadTrack
 };
-/* Each map object in game.maps[mapName] will have this structure:
+// Layers that hold game data rather than anything to draw
+const UNRENDERED_LAYERS = ['Collision', 'Interactables', 'Entities', 'Triggers', 'Spawns', 'Audio', 'Lights'];
+const NEW_GAME_MAP = 'house1';
+
+/* Each map object in game.maps[mapName] will have this structure, the first part from createMapEntry in core/simulation.mjs:
 {
+    name: The map's key in game.maps,
     mapData: The raw Tiled JSON data,
+    path: The map file's path, which its tilesets and images are relative to,
+    properties: The map's custom properties from Tiled, e.g. displayName, music, spawn,
+    music: The map's playlist, or null for silence, see musicPlayer.js,
+    spawns: Named places to put the player, from the "Spawns" layer: { name: { x, y, facing } },
     currentInteractable: null,
-    backgroundLayer: null,
-    collisionLayer: null,
+    tilesets: [{ firstGid, tileset }] sorted by firstGid, used to resolve the map's GIDs,
+    collision: The map's walls as a bitset, built once its tilesets have loaded, see core/collision.mjs,
     interactablesLayer: null,
-    sortedForegroundObjects: [],
-    topLayer: null // imageLayer or objects layer
+    triggersLayer: null, // Zones that run a sequence when stepped on, see scripts.js
+    activeTriggers: Set of the ids of triggers the player is standing in,
+    renderLayers: The layers to draw, in order, with group settings applied, see flattenLayers in core/tiled.mjs,
+    maxTileWidth, maxTileHeight: The largest tile size in any of the map's tilesets, for culling,
+    sortedForegroundObjects: [], // Y-sorted together with the entities
+    entities: [], // NPCs spawned from the "Entities" layer, see entities.js
+    audioEmitters: [], // Ambient sounds from the "Audio" layer, see soundEmitters.js
+    lights: [] // Point lights from the "Lights" layer, see lighting.js
 }
 */
 
 // --- ASSET LOADING ---
 
 /**
- * Helper function to load an image and return a promise.
- * @param {string} src The path to the image.
- * @returns {Promise<HTMLImageElement>}
+ * Reads an image's pixels so they can be used as a collision mask, where any non-transparent pixel is solid.
+ * @param {HTMLImageElement} img
+ * @param {{x: number, y: number, width: number, height: number}} [rect] The part of the image to use, e.g. one spritesheet frame.
+ * @returns {ImageData}
  */
-function loadImage(src) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.src = src;
-        img.onload = () => resolve(img);
-        img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
-    });
+function loadCollisionMask(img, rect = { x: 0, y: 0, width: img.width, height: img.height }) {
+    const offscreenCanvas = document.createElement('canvas');
+    offscreenCanvas.width = rect.width;
+    offscreenCanvas.height = rect.height;
+    const offscreenCtx = offscreenCanvas.getContext('2d', { willReadFrequently: true });
+    offscreenCtx.drawImage(img, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+    return offscreenCtx.getImageData(0, 0, rect.width, rect.height);
 }
 
 /**
- * Loads all Tiled maps and associated assets.
- * This function now processes multiple maps and organizes them.
+ * Loads the assets every map shares, and the list of maps. Maps themselves load when needed, see loadMap.
  */
 async function loadAssets() {
     // 1. Load Player Assets (these are global)
-    const playerImagesToLoad = {
-        'duck_r': loadImage('characters/duck_r.png'),
-        'duck_l': loadImage('characters/duck_l.png'),
-        'duck_f': loadImage('characters/duck_f.png'),
-    };
-    const loadedPlayerImages = await Promise.all(Object.values(playerImagesToLoad));
-    Object.keys(playerImagesToLoad).forEach((key, index) => {
-        game.characters[key] = loadedPlayerImages[index];
-    });
-    player.image = game.characters.duck_l;
-    player.width = player.image.width;
-    player.height = player.image.height;
+    const playerSheet = await loadSpritesheet('duck');
+    player.animator = createAnimator(playerSheet, `idle_${player.facing}`);
+    player.width = playerSheet.frameWidth;
+    player.height = playerSheet.frameHeight;
 
     const playerCollisionImg = await loadImage('collision/duck.png');
-    const offscreenCanvas = document.createElement('canvas');
-    offscreenCanvas.width = playerCollisionImg.width;
-    offscreenCanvas.height = playerCollisionImg.height;
-    const offscreenCtx = offscreenCanvas.getContext('2d', { willReadFrequently: true });
-    offscreenCtx.drawImage(playerCollisionImg, 0, 0);
-    player.collisionMap = offscreenCtx.getImageData(0, 0, player.width, player.height);
-
-    // 2. Load All Map Data
-    const mapFiles = ['house1.tmj', 'outdoors1.tmj'];
-    const mapResponses = await Promise.all(mapFiles.map(map => fetch(`maps/${map}`)));
-    const mapJsonData = await Promise.all(mapResponses.map(res => res.json()));
-
-    // Create map objects keyed by name (e.g., 'house1')
-    mapFiles.forEach((fileName, index) => {
-        const mapName = fileName.replace('.tmj', '');
-        game.maps[mapName] = {
-            mapData: mapJsonData[index],
-            currentInteractable: null,
-            backgroundLayer: null,
-            collisionLayer: null,
-            interactablesLayer: null,
-            sortedForegroundObjects: [],
-            topLayer: null
-        };
-    });
+    player.collisionMap = isPlaceholderImage(playerCollisionImg)
+        ? loadCollisionMask(playerSheet.image, getAnimatorFrame(player.animator)) // Better than a checkerboard
+        : loadCollisionMask(playerCollisionImg);
+    player.collisionBounds = core.getCollisionBounds(player.collisionMap);
+    player.collisionSpans = core.getCollisionSpans(player.collisionMap);
+
+    // 2. Load Dialogue, Item and Script Data
+    game.dialogue = await fetchAsset('data/dialogue.json');
+    await loadItems();
+    await loadScripts();
+    await loadMusicCatalogue();
+
+    // 3. Load the list of maps
+    await loadMapManifest();
+}
 
-    // 3. Process All Maps to Find Layers and Load Assets
-    const allAssetLoadPromises = [];
-    const domParser = new DOMParser();
+/**
+ * Loads data/maps.json into game.mapManifest, once. It's generated by tools/build-map-manifest.js.
+ * @returns {Promise<object>}
+ */
+async function loadMapManifest() {
+    if (!game.mapManifest) {
+        game.mapManifest = await fetchAsset('data/maps.json');
+    }
+    return game.mapManifest;
+}
 
-    for (const mapName in game.maps) {
-        const map = game.maps[mapName];
-        const mapData = map.mapData;
+/**
+ * Gets the name to show players for a map, falling back to its file name.
+ * @param {string} mapName
+ * @returns {string}
+ */
+function getMapDisplayName(mapName) {
+    const entry = game.mapManifest && game.mapManifest[mapName];
+    return entry ? entry.displayName : mapName;
+}
 
-        // Find important layers for this specific map
-        mapData.layers.forEach(layer => {
-            if (layer.name === "Collision") map.collisionLayer = layer;
-            if (layer.name === "Interactables") map.interactablesLayer = layer;
-            if (layer.type === "imagelayer" && layer.name === "Background") map.backgroundLayer = layer;
-            if (layer.name === "Top") map.topLayer = layer;
+/**
+ * Loads a map and everything it needs, once. Loading the same map again returns the same promise.
+ * @param {string} mapName A key in game.mapManifest.
+ * @returns {Promise<object>} The entry of game.maps.
+ */
+function loadMap(mapName) {
+    if (!game.mapLoads[mapName]) {
+        game.mapLoads[mapName] = createMap(mapName);
+        game.mapLoads[mapName].catch(() => { // Let a failed load be tried again
+            delete game.mapLoads[mapName];
+            releaseAssets(mapName);
         });
-
-        // Queue background image for loading
-        if (map.backgroundLayer) {
-            const bgPath = 'backgrounds/' + map.backgroundLayer.image;
-            const bgPromise = loadImage(bgPath).then(img => {
-                map.backgroundLayer.image = img;  // Replace path string with the loaded image object
-            });
-            allAssetLoadPromises.push(bgPromise);
-        }
-
-        if (map.topLayer && map.topLayer.type === "imagelayer") {
-            const topLayerPath = 'backgrounds/' + map.topLayer.image; 
-            const topLayerPromise = loadImage(topLayerPath).then(img => {
-                map.topLayer.image = img;
-            });
-            allAssetLoadPromises.push(topLayerPromise);
-        }
-
-        // Fetch and parse all tilesets for this map
-        for (const ts of mapData.tilesets) {
-            const tsxPath = 'tilesets/' + ts.source;
-            const response = await fetch(tsxPath);
-            if (!response.ok) throw new Error(`Failed to fetch tileset: ${tsxPath}`);
-
-            const tsxText = await response.text();
-            const tsxDoc = domParser.parseFromString(tsxText, 'application/xml');
-            const tileNodes = tsxDoc.querySelectorAll('tile');
-
-            // Queue individual tile images for loading
-            for (const tileNode of tileNodes) {
-                const localId = parseInt(tileNode.getAttribute('id'), 10);
-                const imageNode = tileNode.querySelector('image');
-                if (!imageNode) continue;
-
-                const imagePath = 'tilesets/' + imageNode.getAttribute('source');
-                const gid = ts.firstgid + localId;
-
-                // Only queue for loading if we haven't already loaded it
-                if (!game.tileImages[gid]) {
-                    const promise = loadImage(imagePath).then(img => {
-                        game.tileImages[gid] = img; // Add to global cache
-                    });
-                    allAssetLoadPromises.push(promise);
-                }
-            }
-        }
-        
-        // Prepare and sort foreground objects for this map
-        const foregroundLayer = mapData.layers.find(l => l.name === "Foreground");
-        if (foregroundLayer) {
-            map.sortedForegroundObjects = foregroundLayer.objects.sort((a, b) => a.y - b.y);
-        }
     }
-
-    // 4. Wait for all images (backgrounds, tiles) to load before starting the game
-    await Promise.all(allAssetLoadPromises);
+    return game.mapLoads[mapName];
 }
 
-
-// --- COLLISION & INTERACTION ---
-
 /**
- * Checks for collision against the collision layer of the CURRENT map.
- * @param {number} playerX The player's target X coordinate.
- * @param {number} playerY The player's target Y coordinate.
- * @returns {boolean} True if a solid collision occurs.
+ * Fetches a Tiled map, finds its layers and loads its images, tilesets, entities and music.
+ * The map only appears in game.maps once all of that is ready. The map owns what it loads, see unloadMap.
+ * @param {string} mapName A key in game.mapManifest.
+ * @returns {Promise<object>}
  */
-function checkWallCollision(playerX, playerY) {
-    const currentMap = game.maps[player.location];
-    if (!currentMap || !currentMap.collisionLayer) return false;
+async function createMap(mapName) {
+    const entry = game.mapManifest[mapName];
+    if (!entry) throw new Error(`Map "${mapName}" is not in data/maps.json.`);
+
+    const mapData = await fetchAsset(entry.path);
+
+    const map = {
+        ...core.createMapEntry(mapName, mapData, entry.path),
+        music: null,
+        renderLayers: [],
+        maxTileWidth: 0,
+        maxTileHeight: 0,
+        sortedForegroundObjects: [],
+        entities: [],
+        audioEmitters: [],
+        lights: []
+    };
+    const assetLoadPromises = [];
 
-    for (let y = 0; y < player.height; y++) {
-        for (let x = 0; x < player.width; x++) {
-            const playerPixelIndex = (y * player.width + x) * 4;
-            if (player.collisionMap.data[playerPixelIndex + 3] === 0) {
-                continue;
-            }
+    // Find the layers only the browser needs
+    mapData.layers.forEach(layer => {
+        if (layer.name === "Audio" && layer.type === "objectgroup") map.audioEmitters = parseAudioEmitters(layer);
+        if (layer.name === "Lights" && layer.type === "objectgroup") map.lights = parseLights(layer);
+    });
 
-            const mapX = Math.round(playerX + x);
-            const mapY = Math.round(playerY + y);
+    // Everything else is drawn in the order it appears in Tiled, group layers included
+    map.renderLayers = core.flattenLayers(mapData.layers).filter(entry => !UNRENDERED_LAYERS.includes(entry.layer.name));
 
-            if (mapX < 0 || mapX >= currentMap.collisionLayer.width || mapY < 0 || mapY >= currentMap.collisionLayer.height) {
-                return true; // Collision with map boundaries
-            }
+    // Queue image layers for loading
+    for (const entry of map.renderLayers) {
+        if (entry.layer.type !== 'imagelayer' || !entry.layer.image) continue;
+        const imagePromise = loadImage(core.resolveRelativePath(map.path, entry.layer.image), mapName).then(img => {
+            entry.image = img;
+        });
+        assetLoadPromises.push(imagePromise);
+    }
 
-            const tileIndex = mapY * currentMap.collisionLayer.width + mapX;
-            if (currentMap.collisionLayer.data[tileIndex] !== 0) {
-                return true;
-            }
-        }
+    // Fetch and parse all tilesets for this map
+    const tilesetPromise = loadMapTilesets(mapData, map.path, mapName).then(tilesets => {
+        map.tilesets = tilesets;
+        map.maxTileWidth = Math.max(mapData.tilewidth, ...tilesets.map(ref => ref.tileset.tileWidth));
+        map.maxTileHeight = Math.max(mapData.tileheight, ...tilesets.map(ref => ref.tileset.tileHeight));
+    });
+    assetLoadPromises.push(tilesetPromise);
+
+    // Prepare and sort foreground objects
+    const foregroundEntry = map.renderLayers.find(entry => entry.layer.name === "Foreground" && entry.layer.type === "objectgroup");
+    if (foregroundEntry) {
+        map.sortedForegroundObjects = [...foregroundEntry.layer.objects].sort((a, b) => a.y - b.y);
+    }
+
+    // Spawn the NPCs placed on this map
+    const entitiesLayer = mapData.layers.find(l => l.name === "Entities" && l.type === "objectgroup");
+    if (entitiesLayer) {
+        const spawnPromise = Promise.all(entitiesLayer.objects.map(obj => spawnEntity(mapName, obj))).then(entities => {
+            map.entities = entities;
+        });
+        assetLoadPromises.push(spawnPromise);
     }
-    return false;
+
+    if (map.properties.music) {
+        assetLoadPromises.push(loadPlaylist(map.properties.music, mapName).then(playlist => {
+            map.music = playlist;
+        }));
+    }
+
+    await Promise.all(assetLoadPromises);
+    map.collision = core.buildCollisionGrid(map);
+
+    game.maps[mapName] = map;
+    removeCollectedObjects(mapName);
+    return map;
 }
 
+/**
+ * Forgets a loaded map and lets go of its assets, freeing whichever no other map uses.
+ * What the player has done there is kept in game.mapStates, so it's as they left it when it loads again.
+ * @param {string} mapName Not the map the player is on.
+ */
+function unloadMap(mapName) {
+    const map = game.maps[mapName];
+    if (!map) return;
+
+    map.audioEmitters.forEach(emitter => emitter.controller && emitter.controller.stop());
+    delete game.maps[mapName];
+    delete game.mapLoads[mapName];
+    releaseAssets(mapName);
+}
 
 /**
- * Simplistic bounding-box collision detection for interactable objects.
+ * Starts loading the maps the player could reach next from a map, without waiting for them: where its
+ * doors lead and, for maps in a world, the maps around it. Called when the player arrives on a map,
+ * so going through a door or over an edge rarely has to wait. Maps further away than that are unloaded.
+ * @param {object} map An entry of game.maps.
  */
-function checkInteractables() {
-    const p = player;
-    const currentMap = game.maps[p.location];
-    if (!currentMap || !currentMap.interactablesLayer) {
-        if (currentMap) currentMap.currentInteractable = null;
-        return;
+function preloadNeighbouringMaps(map) {
+    const mapNames = new Set(core.getWorldNeighbours(game, map.name, WORLD_PRELOAD_DISTANCE));
+    for (const obj of map.interactablesLayer ? map.interactablesLayer.objects : []) {
+        const { destinationMap } = core.getProperties(obj) || {};
+        if (destinationMap && game.mapManifest[destinationMap]) mapNames.add(destinationMap);
     }
 
-    for (const obj of currentMap.interactablesLayer.objects) {
-        if (p.x < obj.x + obj.width &&
-            p.x + p.width > obj.x &&
-            p.y < obj.y + obj.height &&
-            p.y + p.height > obj.y) {
-                currentMap.currentInteractable = obj;
-                return;
-        }
+    for (const mapName of mapNames) {
+        loadMap(mapName).catch(error => console.warn(`Failed to preload map "${mapName}":`, error));
+    }
+    for (const mapName of Object.keys(game.maps)) {
+        if (mapName !== map.name && !mapNames.has(mapName)) unloadMap(mapName);
     }
-    currentMap.currentInteractable = null;
 }
 
+// --- GAME LOGIC & DRAWING ---
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
 /**
- * Helper to turn a Tiled object's properties array into a KV map.
+ * Turns the player, swapping to the matching idle animation.
+ * @param {'left'|'right'|'forward'} facing
  */
-function getProperties(obj) {
-    if (!obj.properties) return null;
-    return Object.fromEntries(obj.properties.map(p => [p.name, p.value]));
+function setPlayerFacing(facing) {
+    player.facing = facing;
+    setAnimation(player.animator, `idle_${facing}`);
 }
 
-// --- GAME LOGIC & DRAWING ---
+const undef = (obj) => obj === null || obj === undefined;
 
 /**
- * Updates the camera position to follow the player, clamped to map boundaries.
+ * Checks the properties that any interactable can use to require an item.
  */
-function updateCamera() {
-    const currentMap = game.maps[player.location];
-    if (!currentMap) return;
+function verifyItemRequirement(interactable) {
+    const { requiresItem, consumeItem, lockedDialogueId } = interactable;
+    if (undef(requiresItem)) return true;
 
-    const mapWidth = currentMap.mapData.width * currentMap.mapData.tilewidth;
-    const mapHeight = currentMap.mapData.height * currentMap.mapData.tileheight;
+    if (!game.items[requiresItem]) {
+        console.warn(`Required item "${requiresItem}" not found.`);
+        return false;
+    }
+    if (!undef(consumeItem) && typeof consumeItem !== 'boolean') {
+        console.warn(`Interactable \`consumeItem\` must be a bool.`);
+        return false;
+    }
+    if (!undef(lockedDialogueId) && !game.dialogue[lockedDialogueId]) {
+        console.warn(`Dialogue "${lockedDialogueId}" not found.`);
+        return false;
+    }
+    return true;
+}
 
-    if (mapWidth <= camera.width && mapHeight <= camera.height)
-        return;
+/**
+ * Checks an interactable has everything its type needs before it is used.
+ * @param {object} interactable The interactable's properties.
+ * @param {object} map The entry of game.maps it is on.
+ * @returns {boolean}
+ */
+function verifyInteractable(interactable, map) {
+    const { type, destinationX, destinationY, destinationMap, reboundTime, dialogueId, itemId, count, foregroundObject, sequence, once, oneShot, enabled, priority, prompt, transition, destinationSpawn } = interactable;
 
-    const x = (player.x + player.width / 2) - camera.width / 2;
-    const y = (player.y + player.height / 2) - camera.height / 2;
+    if (!verifyItemRequirement(interactable))
+        return false;
 
-    camera.x = Math.max(0, Math.min(x, mapWidth - camera.width)); // clamp [0, mapWidth - camera.width]
-    camera.y = Math.max(0, Math.min(y, mapHeight - camera.height)); // clamp [0, mapHeight - camera.height]
-}
+    if (!undef(once) && typeof once !== 'boolean') {
+        console.warn(`Interactable \`once\` must be a bool.`);
+        return false;
+    }
+    if (!undef(oneShot) && typeof oneShot !== 'boolean') {
+        console.warn(`Interactable \`oneShot\` must be a bool.`);
+        return false;
+    }
+    if (!undef(enabled) && typeof enabled !== 'boolean') {
+        console.warn(`Interactable \`enabled\` must be a bool.`);
+        return false;
+    }
+    if (!undef(priority) && typeof priority !== 'number') {
+        console.warn(`Interactable \`priority\` must be a number.`);
+        return false;
+    }
+    if (!undef(prompt) && typeof prompt !== 'string') {
+        console.warn(`Interactable \`prompt\` must be a string.`);
+        return false;
+    }
 
-const undef = (obj) => obj === null || obj === undefined;
+    if (type === 'script') {
+        if (undef(sequence)) {
+            console.warn(`Interactable missing \`sequence\` field.`);
+            return false;
+        }
+        if (!game.scripts[sequence]) {
+            console.warn(`Sequence "${sequence}" not found.`);
+            return false;
+        }
+        return true; // Scripts move the player themselves if they need to
+    }
+
+    if (type === 'item') {
+        if (undef(itemId)) {
+            console.warn(`Item interactable missing \`itemId\` field.`);
+            return false;
+        }
+        if (!game.items[itemId]) {
+            console.warn(`Item "${itemId}" not found.`);
+            return false;
+        }
+        if (!undef(count) && (!Number.isInteger(count) || count < 1)) {
+            console.warn(`Item interactable \`count\` must be a positive int.`);
+            return false;
+        }
+        if (!undef(foregroundObject) && !map.sortedForegroundObjects.some(obj => obj.id === foregroundObject)) {
+            console.warn(`Item interactable \`foregroundObject\` ${foregroundObject} is not on the Foreground layer.`);
+            return false;
+        }
+        return true; // Items don't move the player, so need no destination
+    }
 
-function verifyInteractable(interactable) {
-    const { type, destinationX, destinationY, destinationMap, reboundTime } = interactable;
+    if (type === 'dialogue') {
+        if (undef(dialogueId)) {
+            console.warn(`Interactable missing \`dialogueId\` field.`);
+            return false;
+        }
+        if (!game.dialogue[dialogueId]) {
+            console.warn(`Dialogue "${dialogueId}" not found.`);
+            return false;
+        }
+        return true; // Dialogue doesn't move the player, so needs no destination
+    }
 
     if (type === 'door') {
         if (undef(destinationMap)) {
             console.warn(`Door missing \`destinationMap\` field.`);
             return false;
         }
-        if (!game.maps[destinationMap]) {
+        if (!game.mapManifest[destinationMap]) {
             console.warn(`Door destination map "${destinationMap}" not found.`);
             return false;
         }
+        if (!undef(transition) && transition !== 'none' && !TRANSITION_TYPES.includes(transition)) {
+            console.warn(`Door \`transition\` must be one of ${TRANSITION_TYPES.join(', ')} or none.`);
+            return false;
+        }
+        if (!undef(destinationSpawn)) {
+            if (typeof destinationSpawn !== 'string') {
+                console.warn(`Door \`destinationSpawn\` must be a string.`);
+                return false;
+            }
+            return true; // The spawn point is looked up once the destination has loaded
+        }
     }
     if (type === 'moveRebound') {
         if (undef(reboundTime)) {
@@ -316,214 +427,488 @@ function verifyInteractable(interactable) {
     return true;
 }
 
-function updatePlayerPosition() {
+// The player can't move while reading, during a scripted sequence or while the screen changes
+const isPlayerBlocked = () => isDialogueOpen() || isInventoryOpen() || isScriptRunning() || isTransitionActive();
+
+/**
+ * Advances the player by one simulation tick. The walking itself is done by the core, see core/simulation.mjs.
+ * @param {number} dt The tick length in seconds.
+ */
+function updatePlayerPosition(dt) {
     const currentMap = game.maps[player.location];
     if (!currentMap) return;
 
-    checkInteractables();
-
-    // We will early return on any route that moves the character to prevent physics bugs on the same frame
-    if (keysPressed.space && currentMap.currentInteractable) {
-        keysPressed.space = 0;
-        const interactable = getProperties(currentMap.currentInteractable);
-        const type = interactable.type;
-
-        if (!verifyInteractable(interactable))
-            return;
-
-        if (type === 'door') {
-            player.location = interactable.destinationMap;
-            player.x = interactable.destinationX;
-            player.y = interactable.destinationY;
-            player.xVel = 0;
-            player.yVel = 0;
-            audioEngine.playSound(sfx.door);
-            audioEngine.playMusic(music[player.location], { fadeInTime: 0, fadeOutTime: 0.1 });
-        } else if (type === 'move') {
-            player.x = interactable.destinationX;
-            player.y = interactable.destinationY;
-        } else if (type === 'moveRebound') {
-            const { x: oldX, y: oldY, image: oldImage, facing: oldFacing } = player;
-
-            player.x = interactable.destinationX;
-            player.y = interactable.destinationY;
-            player.image = game.characters.duck_f;
-            player.facing = 'forward';
-            player.aboveForeground = true;
-
-            setTimeout(() => {
-                player.x = oldX;
-                player.y = oldY;
-                player.xVel = 0;
-                player.yVel = 0;
-                if (player.facing === 'forward') {
-                    player.image = oldImage;
-                    player.facing = oldFacing;
-                }
-                player.aboveForeground = false;
-            }, interactable.reboundTime);
-        }
-        else {
-            console.warn(`Unknown interactable type: ${type}`);
-        }
+    if (isPlayerBlocked()) {
+        cancelClickMove();
+        core.updatePlayer(game, { blocked: true }, dt);
+        recordTick({ blocked: true });
+        return;
+    }
 
-        updateCamera();
+    let interacting = consumeAction('interact');
+    let move = getMoveAxis();
+    let target = null;
+    // Walking somewhere that was clicked carries on until the player takes over, see clickToMove.js
+    if (interacting || move.x !== 0 || move.y !== 0) cancelClickMove();
+    else ({ move, interacting, target } = followClickMove(dt));
+    const tickInput = { move, interact: interacting, target };
+    recordTick(tickInput);
+
+    // Replays advance the player with the same call, see core/replay.mjs
+    const { interactable: interactableObj, used, locked } = core.updatePlayer(game, tickInput, dt,
+        (obj) => verifyInteractable(core.getProperties(obj), currentMap));
+    if (interacting && interactableObj) {
+        const interactable = core.getProperties(interactableObj);
+        if (locked) {
+            if (interactable.lockedDialogueId) openDialogue(interactable.lockedDialogueId);
+            else showToast(`NEED ${game.items[interactable.requiresItem].name}`);
+        } else if (used) {
+            const sequence = core.getInteractableSequence(game, interactable, interactableObj);
+            if (sequence) runSequence(sequence);
+        }
         return;
     }
-    else if (keysPressed.space && !player.quacked) {
-        player.quacked = true;
-        audioEngine.playSound(sfx.quack, { timeout: 150 });
-    }
-
-    // Vertical movement
-    if (keysPressed.up && (keysPressed.down != 2))
-        player.yVel = Math.max(player.yVel - player.acc, -player.terminalVel);
-    else if (keysPressed.down && (keysPressed.up != 2))
-        player.yVel = Math.min(player.yVel + player.acc, player.terminalVel);
-    else
-        player.yVel = 0;
-
-    const newY = player.y + player.yVel;
-    if (!checkWallCollision(player.x, newY))
-        player.y = newY;
-
-    // Horizontal movement
-    if (keysPressed.left && (keysPressed.right != 2)) {
-        player.xVel = Math.max(player.xVel - player.acc, -player.terminalVel);
-        if (player.facing !== 'left') {
-            player.image = game.characters.duck_l;
-            player.facing = 'left';
+    // With nothing to interact with, the interact button quacks too (sound shenanigans)
+    if (consumeAction('quack') || interacting) {
+        audioEngine.playSound(sfx.quack, { timeout: 150, pitchVariation: 1 });
+    }
+
+    // There's only a walk cycle for the side views. Going by speed rather than position keeps it
+    // walking at slow speeds, where whole pixels aren't crossed every tick
+    const moving = player.xVel !== 0 || player.yVel !== 0;
+    if (player.facing !== 'forward') {
+        setAnimation(player.animator, `${moving ? 'walk' : 'idle'}_${player.facing}`);
+    }
+}
+
+/**
+ * Draws an entity (the player or an NPC) interpolated between its last two simulated positions.
+ * @param {object} entity
+ */
+function drawEntity(entity) {
+    const x = Math.round(lerp(entity.prevX, entity.x, loop.alpha) - camera.x);
+    const y = Math.round(lerp(entity.prevY, entity.y, loop.alpha) - camera.y);
+    drawAnimator(ctx, entity.animator, x, y);
+}
+
+/**
+ * Draws the foreground objects Y-sorted together with every entity.
+ * @param {object} map An entry of game.maps.
+ * @param {object|null} foregroundEntry The "Foreground" layer's render list entry, if the map has one.
+ * @param {boolean} withPlayer Whether the player is on this map.
+ */
+function drawForegroundAndEntities(map, foregroundEntry, withPlayer) {
+    const drawables = [];
+    if (foregroundEntry && foregroundEntry.visible) {
+        const origin = getLayerOrigin(foregroundEntry);
+        const highlightedId = withPlayer ? getHighlightedForegroundObject(map) : null;
+        for (const obj of map.sortedForegroundObjects) {
+            drawables.push({
+                baseY: obj.y + foregroundEntry.offsetY,
+                draw: () => {
+                    ctx.globalAlpha = foregroundEntry.opacity;
+                    if (obj.id === highlightedId) drawTileObjectOutline(ctx, map, obj, origin, INTERACTION_HIGHLIGHT_COLOR);
+                    drawTileObject(ctx, map, obj, origin);
+                    ctx.globalAlpha = 1;
+                }
+            });
         }
-    } else if (keysPressed.right && (keysPressed.left != 2)) {
-        player.xVel = Math.min(player.xVel + player.acc, player.terminalVel);
-        if (player.facing !== 'right') {
-            player.image = game.characters.duck_r;
-            player.facing = 'right';
+    }
+
+    // An entity is drawn in front of an object once its bottom row reaches the object's base
+    const entities = withPlayer && !player.aboveForeground ? [...map.entities, player] : map.entities;
+    for (const entity of entities) {
+        const baseY = lerp(entity.prevY, entity.y, loop.alpha) + entity.height - 1;
+        drawables.push({ baseY, draw: () => drawEntity(entity) });
+    }
+    // Stable sort, so objects stay behind entities on the same row
+    drawables.sort((a, b) => a.baseY - b.baseY);
+    drawables.forEach(drawable => drawable.draw());
+
+    if (withPlayer && player.aboveForeground) {
+        drawEntity(player);
+    }
+}
+
+/**
+ * Draws one map's layers in their Tiled order, with the entities sorted into the "Foreground" layer
+ * (or after every other layer if there isn't one) and "Top" layers last.
+ * @param {object} map An entry of game.maps.
+ * @param {boolean} withPlayer Whether the player is on this map.
+ */
+function drawMap(map, withPlayer) {
+    const topEntries = [];
+    let entitiesDrawn = false;
+    for (const entry of map.renderLayers) {
+        if (entry.layer.name === 'Top') {
+            topEntries.push(entry);
+        } else if (entry.layer.name === 'Foreground' && entry.layer.type === 'objectgroup') {
+            drawForegroundAndEntities(map, entry, withPlayer);
+            entitiesDrawn = true;
+        } else {
+            drawLayer(ctx, map, entry);
         }
-    } else
-        player.xVel = 0;
-    
-    const newX = player.x + player.xVel;
-    if (!checkWallCollision(newX, player.y))
-        player.x = newX;
-
-    updateCamera(); 
+    }
+
+    if (!entitiesDrawn) {
+        drawForegroundAndEntities(map, null, withPlayer);
+    }
+
+    topEntries.forEach(entry => drawLayer(ctx, map, entry));
 }
 
 /**
- * Draws the scene for the CURRENT map, handling Y-sorting.
+ * Draws the scene for the CURRENT map, and the maps next to it if it's part of a world.
  */
 function drawSceneAndEntities() {
     const currentMap = game.maps[player.location];
     if (!currentMap) return;
 
-    if (currentMap.backgroundLayer && currentMap.backgroundLayer.image) {
-        ctx.drawImage(currentMap.backgroundLayer.image, -camera.x, -camera.y);
-    }
+    applyCameraView(loop.alpha);
 
-    const playerBaseY = player.y + player.height - 1;
-    let playerDrawn = false;
+    // Neighbours are drawn by moving the camera into their coordinates, skipping any out of view
+    for (const { map, offset } of getLoadedWorldNeighbours()) {
+        const { width, height } = core.getMapPixelSize(map);
+        if (offset.x >= camera.x + camera.width || offset.x + width <= camera.x ||
+            offset.y >= camera.y + camera.height || offset.y + height <= camera.y) continue;
 
-    for (const obj of currentMap.sortedForegroundObjects) {
-        if (!player.aboveForeground &&!playerDrawn && playerBaseY < obj.y) {
-            const drawX = Math.round(player.x - camera.x);
-            const drawY = Math.round(player.y - camera.y);
-            ctx.drawImage(player.image, drawX, drawY, player.width, player.height);
-            playerDrawn = true;
-        }
-        
-        const tileImage = game.tileImages[obj.gid];
-        if (tileImage) {
-            const drawY = obj.y - obj.height;
-            const width = tileImage.width || obj.width;
-            const height = tileImage.height || obj.height;
-            ctx.drawImage(tileImage, obj.x - camera.x, drawY - camera.y, width, height);
-        }
+        camera.x -= offset.x;
+        camera.y -= offset.y;
+        drawMap(map, false);
+        camera.x += offset.x;
+        camera.y += offset.y;
     }
-    
-    if (!playerDrawn) {
-        ctx.drawImage(player.image, Math.round(player.x - camera.x), Math.round(player.y - camera.y), player.width, player.height);
-    }
-
-    if (currentMap.topLayer) {
-        if (currentMap.topLayer.type === 'imagelayer' && currentMap.topLayer.image) {
-            ctx.drawImage(currentMap.topLayer.image, -camera.x, -camera.y);
-        } else if (currentMap.topLayer.type === 'objectgroup') {
-            for (const obj of currentMap.topLayer.objects) {
-                const tileImage = game.tileImages[obj.gid];
-                if (tileImage) {
-                    const width = tileImage.width || obj.width;
-                    const height = tileImage.height || obj.height;
-                    const drawY = obj.y - height; // Tiled object origin is bottom-left
-                    ctx.drawImage(tileImage, obj.x - camera.x, drawY - camera.y, width, height);
-                }
-            }
-        }
+
+    drawMap(currentMap, true);
+}
+
+/**
+ * Dims the screen and draws a pause symbol over it.
+ * @param {CanvasRenderingContext2D} context The HUD.
+ */
+function drawPauseOverlay(context) {
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(0, 0, hud.width, hud.height);
+
+    const barWidth = 5;
+    const barHeight = 16;
+    const x = Math.round(hud.width / 2 - barWidth * 1.5);
+    const y = Math.round(hud.height / 2 - barHeight / 2);
+    context.fillStyle = '#ffffff';
+    context.fillRect(x, y, barWidth, barHeight);
+    context.fillRect(x + barWidth * 2, y, barWidth, barHeight);
+
+    const hint = 'PRESS 1-3 TO SAVE';
+    drawPixelText(context, hint, Math.round((hud.width - measurePixelText(hint)) / 2), y + barHeight + 4);
+}
+
+/**
+ * Shows the loading screen: a bar that fills as downloads finish, and how many files couldn't be loaded.
+ * Drawn straight to the screen, as the loop isn't running yet.
+ * @param {{loaded: number, total: number, failed: string[]}} progress See onAssetProgress.
+ */
+function drawLoadingScreen({ loaded, total, failed }) {
+    const context = hud.ctx;
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, hud.width, hud.height);
+
+    const barWidth = hud.width - 40;
+    const barHeight = 4;
+    const x = Math.round((hud.width - barWidth) / 2);
+    const y = Math.round(hud.height / 2 - barHeight / 2);
+    const title = 'LOADING';
+    drawPixelText(context, title, Math.round((hud.width - measurePixelText(title)) / 2), y - PIXEL_FONT_HEIGHT - 4);
+
+    // A 1px outline around the bar, filled as far as the downloads have got
+    context.fillStyle = '#ffffff';
+    context.fillRect(x - 2, y - 2, barWidth + 4, barHeight + 4);
+    context.fillStyle = '#000000';
+    context.fillRect(x - 1, y - 1, barWidth + 2, barHeight + 2);
+    context.fillStyle = '#ffffff';
+    context.fillRect(x, y, Math.round(barWidth * (total ? loaded / total : 0)), barHeight);
+
+    if (failed.length) {
+        const missing = `${failed.length} MISSING`;
+        drawPixelText(context, missing, Math.round((hud.width - measurePixelText(missing)) / 2), y + barHeight + 5, '#ff5555');
     }
+    presentFrame();
+}
+
+const toast = { text: '', until: 0 };
+
+/**
+ * Briefly shows a message in the corner of the screen. Uses real time, so it also counts down while paused.
+ * @param {string} text
+ */
+function showToast(text) {
+    toast.text = text;
+    toast.until = performance.now() + 2000;
+}
+
+function drawToast(context) {
+    if (!toast.text || performance.now() > toast.until) return;
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, measurePixelText(toast.text) + 4, PIXEL_FONT_HEIGHT + 4);
+    drawPixelText(context, toast.text, 2, 2);
+}
+
+// --- MAIN LOOP ---
+
+/**
+ * Advances the simulation by exactly one fixed tick.
+ * @param {number} dt The tick length in seconds.
+ */
+function update(dt) {
+    player.prevX = player.x;
+    player.prevY = player.y;
+
+    loop.time += dt * 1000;
+    core.advanceClock(game, dt);
+    updateInput();
+    updateTransition(dt);
+    updateInventory();
+    updateDialogue(dt);
+    updateScripts(dt);
+    updatePlayerPosition(dt);
+    checkWorldEdges();
+    checkTriggers();
+    updateAnimator(player.animator, dt * 1000);
+
+    const currentMap = game.maps[player.location];
+    if (currentMap) updateEntities(currentMap, dt);
+    getLoadedWorldNeighbours().forEach(({ map }) => updateEntities(map, dt));
+    updateCamera(dt);
 }
 
-function gameLoop() {
-    updatePlayerPosition();
+/**
+ * Draws a frame: the world at the internal resolution, lit for the time of day, then the HUD over it, see renderer.js.
+ */
+function render() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const sceneOffset = getTransitionSceneOffset();
+    ctx.save();
+    ctx.translate(sceneOffset.x, sceneOffset.y);
     drawSceneAndEntities();
-    requestAnimationFrame(gameLoop);
+    drawLighting(ctx);
+    drawDebugOverlay(ctx);
+    ctx.restore();
+    drawTransition(ctx);
+    drawScreenFade(ctx);
+
+    clearHud();
+    drawInventory(hud.ctx);
+    drawInteractionPrompt(hud.ctx);
+    drawDialogue(hud.ctx);
+    if (loop.paused) drawPauseOverlay(hud.ctx);
+    drawToast(hud.ctx);
+    drawDebugHud(hud.ctx);
+
+    presentFrame();
+}
+
+/**
+ * Runs as many fixed ticks as real time allows, then renders once, interpolating between the last two ticks.
+ * @param {DOMHighResTimeStamp} timestamp The frame time supplied by requestAnimationFrame.
+ */
+function gameLoop(timestamp) {
+    loop.frameId = requestAnimationFrame(gameLoop);
+
+    const frameTime = Math.max(0, Math.min(timestamp - loop.lastTime, MAX_FRAME_TIME));
+    recordFrameTime(timestamp - loop.lastTime);
+    loop.lastTime = timestamp;
+
+    pollGamepads();
+
+    if (!loop.paused) {
+        loop.accumulator += frameTime;
+        while (loop.accumulator >= TICK_DURATION) {
+            update(TICK_DURATION / 1000);
+            loop.accumulator -= TICK_DURATION;
+        }
+        loop.alpha = loop.accumulator / TICK_DURATION;
+    }
+
+    render();
+    updateAudioEmitters();
+}
+
+function startLoop() {
+    if (loop.frameId !== null) return;
+    loop.lastTime = performance.now();
+    loop.accumulator = 0;
+    loop.frameId = requestAnimationFrame(gameLoop);
+}
+
+function stopLoop() {
+    if (loop.frameId === null) return;
+    cancelAnimationFrame(loop.frameId);
+    loop.frameId = null;
+}
+
+/**
+ * Pauses or resumes the simulation. Rendering continues so the pause overlay is shown.
+ * @param {boolean} paused Whether the game should be paused.
+ */
+function setPaused(paused) {
+    loop.paused = paused;
+    clearPressedActions(); // Don't let a press made while paused fire on resume
+}
+
+const isGameRunning = () => !gameContainer.hidden && !gameContainer.classList.contains('loading');
+
+/**
+ * Pauses the game and shows the options screen over it, resuming once it's closed.
+ */
+function openOptionsInGame() {
+    if (isOptionsOpen()) return;
+
+    const wasPaused = loop.paused;
+    setPaused(true);
+    openOptions(() => setPaused(wasPaused));
 }
 
 
 // --- EVENT LISTENERS & GAME START ---
 
+onActionPressed('pause', () => {
+    if (isGameRunning() && !isOptionsOpen()) setPaused(!loop.paused);
+});
+
+onActionPressed('fullscreen', () => {
+    if (isGameRunning()) toggleFullscreen();
+});
+
+onActionPressed('menu', () => {
+    if (!isGameRunning()) return;
+    if (isOptionsOpen()) closeOptions();
+    else openOptionsInGame();
+});
+
+// Save slots are fixed keys rather than actions, as they only work from the pause screen
 document.addEventListener('keydown', (event) => {
-    if (event.repeat) return; 
-
-    if (event.key === 'ArrowUp' || event.key === 'w') {
-        if (keysPressed.down) keysPressed.down = 1;
-        keysPressed.up = 2;
-    } else if (event.key === 'ArrowDown' || event.key === 's') {
-        if (keysPressed.up) keysPressed.up = 1;
-        keysPressed.down = 2;
-    } else if (event.key === 'ArrowLeft' || event.key === 'a') {
-        if (keysPressed.right) keysPressed.right = 1;
-        keysPressed.left = 2;
-    } else if (event.key === 'ArrowRight' || event.key === 'd') {
-        if (keysPressed.left) keysPressed.left = 1;
-        keysPressed.right = 2;
-    } else if (event.key === ' ') {
-        keysPressed.space = 1;
-        player.quacked = false;
+    if (event.repeat || !loop.paused || isOptionsOpen() || !isGameRunning()) return;
+
+    if (['1', '2', '3'].includes(event.key)) {
+        const slot = `slot${event.key}`;
+        showToast(writeSave(slot) ? `SAVED TO SLOT ${event.key}` : 'SAVE FAILED');
     }
 });
 
-document.addEventListener('keyup', (event) => {
-    if (event.key === 'ArrowUp' || event.key === 'w') keysPressed.up = 0;
-    else if (event.key === 'ArrowDown' || event.key === 's') keysPressed.down = 0;
-    else if (event.key === 'ArrowLeft' || event.key === 'a') keysPressed.left = 0;
-    else if (event.key === 'ArrowRight' || event.key === 'd') keysPressed.right = 0;
-    else if (event.key === ' ') keysPressed.space = 0;
+
+// Halt the loop entirely while the tab is hidden, rather than letting rAF throttle it
+document.addEventListener('visibilitychange', () => {
+    if (!isGameRunning()) return;
+
+    if (document.hidden) {
+        stopLoop();
+        audioEngine.suspend();
+        writeSave(AUTOSAVE_SLOT);
+    } else {
+        audioEngine.resume();
+        startLoop();
+    }
 });
 
 
-canvas.style.display = 'none';
-const startButton = document.getElementById('start-button');
+// Last chance to keep progress when the page is refreshed or closed
+window.addEventListener('pagehide', () => {
+    if (isGameRunning()) writeSave(AUTOSAVE_SLOT);
+});
 
-startButton.addEventListener('click', async () => {
-    await loadSounds(audioEngine);
 
-    startButton.textContent = 'Loading...';
-    startButton.disabled = true;
+const mainMenu = document.getElementById('main-menu');
+const continueButton = document.getElementById('continue-button');
+const newGameButton = document.getElementById('new-game-button');
+const loadButton = document.getElementById('load-button');
+const loadMenu = document.getElementById('load-menu');
+const loadSlotList = document.getElementById('load-slot-list');
+const loadBackButton = document.getElementById('load-back-button');
+const optionsButton = document.getElementById('options-button');
+const touchControls = document.getElementById('touch-controls');
 
-    player.x = 77;
-    player.y = 42;
-    player.facing = 'left';
-    player.location = 'house1';
-    audioEngine.playMusic(music[player.location]);
+/**
+ * Loads everything, puts the player where the save says (or at the start for a new game) and starts the loop.
+ * Shows the loading screen while it loads. Files that can't be loaded are reported but the game carries on
+ * without them where it can, see assetManager.js.
+ * @param {object|null} save The save to load, or null for a new game.
+ * @param {HTMLButtonElement} button The menu button that was pressed, used to report errors.
+ */
+async function startGame(save, button) {
+    mainMenu.querySelectorAll('button').forEach(menuButton => menuButton.disabled = true);
+    mainMenu.style.display = 'none';
+    gameContainer.classList.add('loading');
+    gameContainer.hidden = false;
+    const view = getRequestedViewSize();
+    setViewSize(view.width, view.height); // Also sizes the screen canvas, now the game container is shown
+
+    resetAssetProgress();
+    drawLoadingScreen(assetCache.progress);
+    const stopDrawingProgress = onAssetProgress(drawLoadingScreen);
 
     try {
+        await loadSounds(audioEngine);
         await loadAssets();
-        startButton.style.display = 'none';
-        canvas.style.display = 'block';
-        gameLoop();
+        const map = await loadMap(save ? save.player.location : NEW_GAME_MAP);
+        stopDrawingProgress(); // Preloading the maps around this one happens in the background
+
+        if (save) {
+            applySaveData(save);
+        } else {
+            const start = core.getSpawnPoint(map);
+            if (!start) throw new Error(`"${NEW_GAME_MAP}" has no \`spawn\` property naming a spawn point.`);
+            player.location = NEW_GAME_MAP;
+            core.placePlayer(player, start.x, start.y);
+            setPlayerFacing(start.facing || 'left');
+        }
+        playPlaylist(map.music);
+        preloadNeighbouringMaps(map);
+        updateCamera(0); // Start the camera on the player rather than the map's corner
+
+        const { failed } = assetCache.progress;
+        if (failed.length) {
+            console.warn(`Started with ${failed.length} file${failed.length === 1 ? '' : 's'} missing:`, failed);
+            showToast(`${failed.length} FILE${failed.length === 1 ? '' : 'S'} MISSING`);
+        }
+
+        gameContainer.classList.remove('loading');
+        touchControls.hidden = !hasTouchScreen();
+        resizeScreen(); // The touch controls take some of the space
+        startLoop();
     } catch (error) {
+        stopDrawingProgress();
         console.error("Failed to load game assets:", error);
-        startButton.textContent = 'Error! Check console.';
+        gameContainer.classList.remove('loading');
+        gameContainer.hidden = true;
+        mainMenu.style.display = '';
+        button.textContent = 'Error! Check console.';
     }
-}, { once: true });
\ No newline at end of file
+}
+
+function formatSlotLabel(slot, save) {
+    const name = slot === AUTOSAVE_SLOT ? 'Autosave' : `Slot ${slot.replace('slot', '')}`;
+    if (!save) return `${name} - Empty`;
+    return `${name} - ${getMapDisplayName(save.player.location)} - ${new Date(save.savedAt).toLocaleString()}`;
+}
+
+async function showLoadMenu() {
+    await loadMapManifest().catch(error => console.warn('Map names unavailable, showing file names:', error));
+
+    loadSlotList.replaceChildren(...SAVE_SLOTS.map(slot => {
+        const save = readSave(slot);
+        const slotButton = document.createElement('button');
+        slotButton.textContent = formatSlotLabel(slot, save);
+        slotButton.disabled = !save;
+        slotButton.addEventListener('click', () => startGame(save, slotButton), { once: true });
+        return slotButton;
+    }));
+    loadMenu.hidden = false;
+}
+
+continueButton.disabled = !readLatestSave();
+continueButton.addEventListener('click', () => startGame(readLatestSave(), continueButton), { once: true });
+newGameButton.addEventListener('click', () => startGame(null, newGameButton), { once: true });
+loadButton.addEventListener('click', showLoadMenu);
+loadBackButton.addEventListener('click', () => loadMenu.hidden = true);
+optionsButton.addEventListener('click', () => openOptions());
+setupTouchControls(touchControls);
@@ -0,0 +1,461 @@
+const SCRIPT_WALK_GIVE_UP_TIME = 1000; // ms a scripted walk can be blocked before it's abandoned
+const SCRIPT_MAX_STEPS_PER_TICK = 100; // Guards against sequences that loop forever without waiting
+
+/* Sequences are defined in data/scripts.json, keyed by name. Each is a list of steps run one after another:
+{
+    "pond_intro": [
+        { "action": "fade", "to": 1, "ms": 500 },
+        { "action": "teleport", "map": "outdoors1", "x": 40, "y": 30, "facing": "right" },
+        { "action": "fade", "to": 0, "ms": 500 },
+        { "action": "if", "flag": "sawDrainedPond", "then": [], "else": [
+            { "action": "showText", "text": "The pond... it's gone!" },
+            { "action": "setFlag", "flag": "sawDrainedPond" }
+        ] }
+    ]
+}
+   Actions:
+    movePlayer { x, y, facing? } Walks the player to a point on the current map.
+    teleport { map?, x, y, facing?, transition?, direction? } or { map?, spawn, ... } Moves the player to a point or a
+        named spawn point, changing the music if the map changes. Waits for the map to load if it hasn't yet.
+        transition is 'fade', 'iris' or 'slide' (see transitions.js) to cover the move, waiting until it ends.
+        direction is the way a slide goes: 'left', 'right', 'up' or 'down'.
+    moveRebound { x, y, ms } Puts the player on something (like a bed) above the foreground, then back after a while.
+    wait { ms }
+    playSound { sound, volume?, pitchVariation?, pan? } A key in sfx, see AudioEngine.playSound for the rest.
+        With x and y (and optionally radius and falloff) it's heard from that point on the map, see playSoundAt.
+    playMusic { track, fadeInTime?, fadeOutTime? } Plays the music of the map named by track, loading it if needed.
+    setFlag { flag, value? } value defaults to true.
+    setTime { hour } Sets the clock, e.g. 7.5 for half past seven, see core/clock.mjs.
+    showText { dialogueId } or { text } Waits until the text box is closed. text can be a string or a list of pages.
+    fade { to, ms } Fades the screen to black (to: 1) or back (to: 0).
+    giveItem / takeItem { item, count? }
+    collectItem { itemId, count?, foregroundObject? } Picks up an item, removing its object from the current map.
+    panCamera { x, y, ms } Glides the camera to centre a point on the current map, and holds it there.
+    resetCamera { ms? } Glides the camera back to the player after a pan.
+    shakeCamera { intensity, ms, wait? } Shakes the view by up to intensity pixels. Only waits for it if wait is true.
+    save Autosaves.
+    run { sequence } Runs another sequence, then carries on with this one.
+    if { <condition>, then, else? } Runs one of two lists of steps.
+   Conditions are { "flag": "name" } (optionally with "equals": value, otherwise the flag must be truthy),
+   { "item": "id" }, { "time": "dawn" | "day" | "dusk" | "night" }, or { "not": <condition> }, see checkCondition
+   in core/simulation.mjs. */
+
+const scripts = {
+    frames: [], // The running sequence as a stack of { steps, index }, so `if` and `run` can nest
+    step: null // State of the step in progress: { action, ... }
+};
+
+const screenFade = {
+    alpha: 0, // 0 is clear, 1 is black
+    from: 0,
+    to: 0,
+    elapsed: 0,
+    duration: 0
+};
+
+/**
+ * Loads the sequences from data/scripts.json into game.scripts and checks them over.
+ * @returns {Promise<void>}
+ */
+async function loadScripts() {
+    game.scripts = await fetchAsset('data/scripts.json');
+
+    for (const [name, steps] of Object.entries(game.scripts)) {
+        verifySteps(steps, name);
+    }
+}
+
+/**
+ * Moves the player for a teleport step once its map has loaded, changing the music if the map changes.
+ * @param {object} step The teleport step, with `mapName` filled in.
+ * @returns {boolean} False if the spawn point doesn't exist.
+ */
+function startTeleport(step) {
+    const map = game.maps[step.mapName];
+    const destination = core.getTeleportDestination(game, step.mapName, step);
+    if (!destination) {
+        console.warn(`Spawn point "${step.spawn}" not found on "${step.mapName}".`);
+        return false;
+    }
+
+    const move = () => {
+        core.teleportPlayer(game, step.mapName, destination);
+        setPlayerFacing(player.facing);
+        preloadNeighbouringMaps(map);
+    };
+    const changingMap = step.mapName !== player.location;
+
+    if (step.transition && step.transition !== 'none') {
+        startTransition(step.transition, move, { direction: step.direction, music: changingMap ? map.music : undefined });
+        return true;
+    }
+    if (changingMap) playPlaylist(map.music, { fadeInTime: 0, fadeOutTime: 0.1 });
+    move();
+    return true;
+}
+
+const SCRIPT_ACTIONS = {
+    movePlayer: {
+        required: ['x', 'y'],
+        start(step) {
+            step.blockedTime = 0;
+        },
+        update(step, dt) {
+            // Steps give the player's top-left like everywhere else, but walking works on the feet
+            const feetX = step.x + player.width / 2;
+            const feetY = step.y + player.height;
+            const { reached, blocked } = stepEntityTowards(player, feetX, feetY, player.terminalVel * dt);
+            step.blockedTime = blocked ? step.blockedTime + dt * 1000 : 0;
+
+            if (reached && !core.checkWallCollision(game, step.x, step.y)) {
+                // Land exactly on the point rather than within a step of it
+                player.x = step.x;
+                player.y = step.y;
+            }
+            if (reached || step.blockedTime > SCRIPT_WALK_GIVE_UP_TIME) {
+                if (!reached) console.warn(`Scripted walk to (${step.x}, ${step.y}) was blocked.`);
+                setPlayerFacing(step.facing || player.facing);
+                return true;
+            }
+            setAnimation(player.animator, `walk_${player.facing}`);
+            return false;
+        }
+    },
+    teleport: {
+        required: [],
+        start(step) {
+            step.mapName = step.map || player.location;
+            if (!game.mapManifest[step.mapName]) {
+                console.warn(`Teleport destination map "${step.mapName}" not found.`);
+                step.done = true;
+                return;
+            }
+            // Usually loaded already, see preloadNeighbouringMaps
+            loadMap(step.mapName).catch(error => {
+                console.error(`Failed to load map "${step.mapName}":`, error);
+                step.done = true;
+            });
+        },
+        update(step) {
+            if (step.done) return true;
+            if (!game.maps[step.mapName]) return false; // Still loading
+
+            if (!step.moved) {
+                step.moved = true;
+                if (!startTeleport(step)) return true;
+            }
+            return !isTransitionActive();
+        }
+    },
+    moveRebound: {
+        required: ['x', 'y', 'ms'],
+        start(step) {
+            step.rebound = core.startRebound(player, step.x, step.y, step.ms);
+            setPlayerFacing(player.facing);
+        },
+        update(step, dt) {
+            if (!core.updateRebound(player, step.rebound, dt)) return false;
+            setPlayerFacing(player.facing);
+            return true;
+        }
+    },
+    wait: {
+        required: ['ms'],
+        start(step) {
+            step.remaining = step.ms;
+        },
+        update(step, dt) {
+            step.remaining -= dt * 1000;
+            return step.remaining <= 0;
+        }
+    },
+    playSound: {
+        required: ['sound'],
+        start(step) {
+            const { volume, pitchVariation, pan, x, y, radius, falloff } = step;
+            if (typeof x === 'number' && typeof y === 'number') {
+                playSoundAt(sfx[step.sound], x, y, { volume, pitchVariation, radius, falloff });
+            } else {
+                audioEngine.playSound(sfx[step.sound], { volume, pitchVariation, pan });
+            }
+        }
+    },
+    playMusic: {
+        required: ['track'],
+        start(step) {
+            if (!game.mapManifest[step.track]) {
+                console.warn(`playMusic map "${step.track}" not found.`);
+                return;
+            }
+            // Usually loaded already, unless it's somewhere the player can't get to from here
+            loadMap(step.track)
+                .then(map => playPlaylist(map.music, { fadeInTime: step.fadeInTime, fadeOutTime: step.fadeOutTime }))
+                .catch(error => console.error(`Failed to load map "${step.track}" for its music:`, error));
+        }
+    },
+    setFlag: {
+        required: ['flag'],
+        start(step) {
+            game.flags[step.flag] = step.value ?? true;
+        }
+    },
+    setTime: {
+        required: ['hour'],
+        start(step) {
+            core.setTimeOfDay(game, step.hour);
+        }
+    },
+    showText: {
+        required: [],
+        start(step) {
+            if (step.dialogueId) openDialogue(step.dialogueId);
+            else openDialoguePages(Array.isArray(step.text) ? step.text : [step.text]);
+        },
+        update() {
+            return !isDialogueOpen();
+        }
+    },
+    fade: {
+        required: ['to', 'ms'],
+        start(step) {
+            screenFade.from = screenFade.alpha;
+            screenFade.to = step.to;
+            screenFade.elapsed = 0;
+            screenFade.duration = step.ms;
+        },
+        update(step, dt) {
+            screenFade.elapsed += dt * 1000;
+            const t = screenFade.duration > 0 ? Math.min(1, screenFade.elapsed / screenFade.duration) : 1;
+            screenFade.alpha = lerp(screenFade.from, screenFade.to, t);
+            return t >= 1;
+        }
+    },
+    giveItem: {
+        required: ['item'],
+        start(step) {
+            core.addItem(game, step.item, step.count ?? 1);
+        }
+    },
+    takeItem: {
+        required: ['item'],
+        start(step) {
+            core.removeItem(game, step.item, step.count ?? 1);
+        }
+    },
+    collectItem: {
+        required: ['itemId'],
+        start(step) {
+            collectItem(game.maps[player.location], step);
+        }
+    },
+    panCamera: {
+        required: ['x', 'y', 'ms'],
+        start(step) {
+            panCamera(step.x, step.y, step.ms);
+        },
+        update() {
+            return !isCameraPanning();
+        }
+    },
+    resetCamera: {
+        required: [],
+        start(step) {
+            resetCamera(step.ms ?? 500);
+        },
+        update() {
+            return !isCameraPanning();
+        }
+    },
+    shakeCamera: {
+        required: ['intensity', 'ms'],
+        start(step) {
+            shakeCamera(step.intensity, step.ms);
+            step.remaining = step.wait ? step.ms : 0;
+        },
+        update(step, dt) {
+            step.remaining -= dt * 1000;
+            return step.remaining <= 0;
+        }
+    },
+    save: {
+        required: [],
+        start() {
+            writeSave(AUTOSAVE_SLOT);
+        }
+    },
+    run: {
+        required: ['sequence'],
+        start(step) {
+            const steps = game.scripts[step.sequence];
+            if (steps) scripts.frames.push({ steps, index: 0 });
+            else console.warn(`Sequence "${step.sequence}" not found.`);
+        }
+    },
+    if: {
+        required: ['then'],
+        start(step) {
+            const steps = core.checkCondition(game, step) ? step.then : step.else;
+            if (steps && steps.length) scripts.frames.push({ steps, index: 0 });
+        }
+    }
+};
+
+/**
+ * Warns about steps with unknown actions or missing fields, including those nested in `if` steps.
+ * @param {Array<object>} steps
+ * @param {string} name The sequence's name, for the warnings.
+ * @returns {boolean} Whether every step is valid.
+ */
+function verifySteps(steps, name) {
+    if (!Array.isArray(steps)) {
+        console.warn(`Sequence "${name}" must be a list of steps.`);
+        return false;
+    }
+
+    let valid = true;
+    steps.forEach((step, i) => {
+        const action = SCRIPT_ACTIONS[step.action];
+        if (!action) {
+            console.warn(`Sequence "${name}" step ${i} has unknown action "${step.action}".`);
+            valid = false;
+            return;
+        }
+        for (const field of action.required) {
+            if (undef(step[field])) {
+                console.warn(`Sequence "${name}" step ${i} (${step.action}) is missing \`${field}\`.`);
+                valid = false;
+            }
+        }
+        if (step.action === 'teleport' && undef(step.spawn) && (undef(step.x) || undef(step.y))) {
+            console.warn(`Sequence "${name}" step ${i} (teleport) needs \`spawn\` or \`x\` and \`y\`.`);
+            valid = false;
+        }
+        if (step.action === 'showText' && undef(step.dialogueId) && undef(step.text)) {
+            console.warn(`Sequence "${name}" step ${i} (showText) needs \`dialogueId\` or \`text\`.`);
+            valid = false;
+        }
+        if (step.action === 'if') {
+            valid = verifySteps(step.then, `${name}[${i}].then`) && valid;
+            if (step.else) valid = verifySteps(step.else, `${name}[${i}].else`) && valid;
+        }
+    });
+    return valid;
+}
+
+const isScriptRunning = () => scripts.frames.length > 0;
+
+/**
+ * Starts running a sequence. Only one runs at a time; the player can't move until it finishes.
+ * @param {Array<object>} steps
+ * @returns {boolean} False if another sequence is already running.
+ */
+function runSequence(steps) {
+    if (isScriptRunning()) return false;
+
+    scripts.frames = [{ steps, index: 0 }];
+    scripts.step = null;
+
+    // Run the instant steps straight away, so e.g. a door moves the player on the tick it's used
+    updateScripts(0);
+    return true;
+}
+
+/**
+ * Abandons the running sequence, e.g. when a save is loaded, and clears any fade it left behind.
+ */
+function stopScripts() {
+    scripts.frames = [];
+    scripts.step = null;
+    screenFade.alpha = 0;
+}
+
+/**
+ * Advances the running sequence: finishes the current step if it's done, then starts the following
+ * steps until one needs to wait.
+ * @param {number} dt The tick length in seconds.
+ */
+function updateScripts(dt) {
+    for (let i = 0; i < SCRIPT_MAX_STEPS_PER_TICK && isScriptRunning(); i++) {
+        if (scripts.step) {
+            const action = SCRIPT_ACTIONS[scripts.step.action];
+            if (!action.update(scripts.step, dt)) return;
+            scripts.step = null;
+            dt = 0; // Anything after this step starts fresh
+        }
+
+        const frame = scripts.frames[scripts.frames.length - 1];
+        if (frame.index >= frame.steps.length) {
+            scripts.frames.pop();
+            continue;
+        }
+
+        const step = { ...frame.steps[frame.index++] };
+        const action = SCRIPT_ACTIONS[step.action];
+        if (!action) {
+            console.warn(`Unknown script action "${step.action}".`);
+            continue;
+        }
+        if (action.start) action.start(step);
+        if (action.update) scripts.step = step;
+    }
+
+    if (isScriptRunning() && !scripts.step) {
+        console.warn(`Sequence ran more than ${SCRIPT_MAX_STEPS_PER_TICK} steps in one tick, stopping it.`);
+        stopScripts();
+    }
+}
+
+/**
+ * Fires the sequences of "Triggers" objects the player has just stepped onto.
+ * A trigger fires when the player's feet enter it, not while they stay inside.
+ */
+function checkTriggers() {
+    const currentMap = game.maps[player.location];
+    if (!currentMap || !currentMap.triggersLayer) return;
+
+    const bounds = player.collisionBounds;
+    const feet = {
+        x: player.x + bounds.x,
+        y: player.y + bounds.y,
+        width: bounds.width,
+        height: bounds.height
+    };
+
+    for (const obj of currentMap.triggersLayer.objects) {
+        const inside = feet.x < obj.x + obj.width &&
+            feet.x + feet.width > obj.x &&
+            feet.y < obj.y + obj.height &&
+            feet.y + feet.height > obj.y;
+
+        const wasInside = currentMap.activeTriggers.has(obj.id);
+        if (!inside) {
+            currentMap.activeTriggers.delete(obj.id);
+            continue;
+        }
+        if (wasInside || isScriptRunning() || !core.isObjectAvailable(game, player.location, obj)) continue;
+
+        const props = core.getProperties(obj) || {};
+        if (undef(props.sequence)) {
+            console.warn(`Trigger ${obj.id} on "${player.location}" is missing a \`sequence\` property.`);
+            continue;
+        }
+        if (!game.scripts[props.sequence]) {
+            console.warn(`Sequence "${props.sequence}" not found.`);
+            continue;
+        }
+
+        currentMap.activeTriggers.add(obj.id);
+        core.markTriggered(game, player.location, obj);
+        runSequence(game.scripts[props.sequence]);
+    }
+}
+
+/**
+ * Darkens the screen for fades started by scripts.
+ * @param {CanvasRenderingContext2D} context
+ */
+function drawScreenFade(context) {
+    if (screenFade.alpha <= 0) return;
+    context.fillStyle = `rgba(0, 0, 0, ${screenFade.alpha})`;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+}
@@ -0,0 +1,116 @@
+const EMITTER_DEFAULT_RADIUS = 64; // px from the emitter at which it can no longer be heard
+const EMITTER_DEFAULT_FALLOFF = 1; // 1 fades out evenly with distance, higher drops off sooner
+const SPATIAL_MAX_PAN = 0.8; // Sounds are never entirely in one ear
+
+/* Sounds can come from somewhere in the world. Objects on a map's "Audio" layer are looping ambient emitters,
+   with these properties:
+   - sound: A key in sfx.
+   - radius: How far away it can be heard, in px. Defaults to EMITTER_DEFAULT_RADIUS.
+   - falloff: How quickly it fades with distance, see getSpatialMix. Defaults to EMITTER_DEFAULT_FALLOFF.
+   - volume: 0 to 1, its volume up close. Defaults to 1.
+   A point emitter sounds from one spot; a rectangle (say, a river) is as loud anywhere inside it
+   and fades with the distance to its nearest edge.
+
+   Emitters play on the ambience bus while they can be heard and are paused otherwise. Their volume follows
+   the player's distance and their pan follows where they are on screen, updated every frame. */
+
+/**
+ * Reads the emitters from a map's "Audio" layer.
+ * @param {object|undefined} layer The Tiled object layer.
+ * @returns {Array<object>} { id, x, y, width, height, sound, radius, falloff, volume, controller }
+ */
+function parseAudioEmitters(layer) {
+    if (!layer) return [];
+
+    return layer.objects.flatMap(obj => {
+        const props = core.getProperties(obj) || {};
+        if (!props.sound) {
+            console.warn(`Audio emitter ${obj.id} is missing a \`sound\` property.`);
+            return [];
+        }
+        return [{
+            id: obj.id,
+            x: obj.x,
+            y: obj.y,
+            width: obj.width || 0,
+            height: obj.height || 0,
+            sound: props.sound,
+            radius: props.radius ?? EMITTER_DEFAULT_RADIUS,
+            falloff: props.falloff ?? EMITTER_DEFAULT_FALLOFF,
+            volume: props.volume ?? 1,
+            controller: null // From audioEngine.playSound, once it has been heard
+        }];
+    });
+}
+
+/**
+ * Works out how a sound at a place on the player's map should be heard this frame: quieter the further it is from
+ * the player, and panned by where it is on screen.
+ * @param {{x: number, y: number, width?: number, height?: number}} area Where the sound comes from, a point or a rectangle.
+ * @param {number} [radius=EMITTER_DEFAULT_RADIUS] px at which it can no longer be heard.
+ * @param {number} [falloff=EMITTER_DEFAULT_FALLOFF] Volume is (1 - distance / radius) to the power of this.
+ * @returns {{volume: number, pan: number}} volume 0 to 1, pan -1 to 1.
+ */
+function getSpatialMix({ x, y, width = 0, height = 0 }, radius = EMITTER_DEFAULT_RADIUS, falloff = EMITTER_DEFAULT_FALLOFF) {
+    // The player hears from the middle of their sprite, wherever it's drawn this frame
+    const listenerX = lerp(player.prevX, player.x, loop.alpha) + player.width / 2;
+    const listenerY = lerp(player.prevY, player.y, loop.alpha) + player.height / 2;
+
+    const nearestX = Math.max(x, Math.min(listenerX, x + width));
+    const nearestY = Math.max(y, Math.min(listenerY, y + height));
+    const distance = Math.hypot(nearestX - listenerX, nearestY - listenerY);
+    const volume = distance >= radius ? 0 : Math.pow(1 - distance / radius, falloff);
+
+    const halfView = camera.width / 2;
+    const pan = Math.max(-1, Math.min(1, (nearestX - camera.x - halfView) / halfView)) * SPATIAL_MAX_PAN;
+    return { volume, pan };
+}
+
+/**
+ * Plays a one-off sound from a place on the player's map, e.g. a door.
+ * @param {AudioBuffer} audioBuffer
+ * @param {number} x
+ * @param {number} y
+ * @param {object} [options] As for audioEngine.playSound, plus radius and falloff, see getSpatialMix.
+ * @returns {object|null} The sound's controller, or null if it's out of earshot or on cooldown.
+ */
+function playSoundAt(audioBuffer, x, y, { radius, falloff, volume = 1, ...options } = {}) {
+    const mix = getSpatialMix({ x, y }, radius, falloff);
+    if (mix.volume <= 0) return null;
+    return audioEngine.playSound(audioBuffer, { ...options, volume: volume * mix.volume, pan: mix.pan });
+}
+
+/**
+ * Fades the emitters on the player's map (and the loaded maps next to it in a world) with the player's position,
+ * starting the ones that come into earshot and pausing the rest. Called every frame.
+ */
+function updateAudioEmitters() {
+    const heardMaps = new Map([[player.location, { x: 0, y: 0 }]]);
+    for (const { map, offset } of getLoadedWorldNeighbours()) heardMaps.set(map.name, offset);
+
+    for (const map of Object.values(game.maps)) {
+        const offset = heardMaps.get(map.name);
+        for (const emitter of map.audioEmitters) {
+            const mix = offset
+                ? getSpatialMix({ ...emitter, x: emitter.x + offset.x, y: emitter.y + offset.y }, emitter.radius, emitter.falloff)
+                : { volume: 0, pan: 0 };
+            updateAudioEmitter(emitter, emitter.volume * mix.volume, mix.pan);
+        }
+    }
+}
+
+function updateAudioEmitter(emitter, volume, pan) {
+    const { controller } = emitter;
+    if (volume <= 0) {
+        if (controller) controller.pause();
+        return;
+    }
+    if (!controller) {
+        if (!sfx[emitter.sound] || typeof sfx[emitter.sound] === 'string') return; // Unknown, or failed to load
+        emitter.controller = audioEngine.playSound(sfx[emitter.sound], { loop: true, bus: 'ambience', volume, pan });
+        return;
+    }
+    controller.setVolume(volume);
+    controller.setPan(pan);
+    if (!controller.isPlaying()) controller.play();
+}
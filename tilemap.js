@@ -0,0 +1,241 @@
+/* Tilesets are read by core/tiled.mjs, which leaves their images as paths; here they're loaded and drawn.
+   See there for the tileset structure. Each one is cached by path in assetManager.js, and shared between
+   the maps that use it. */
+
+/**
+ * Replaces the image paths in a tileset with loaded images.
+ * @param {object} tileset
+ * @param {string} owner Who the images belong to, see loadAsset.
+ * @returns {Promise<void>}
+ */
+async function loadTilesetImages(tileset, owner) {
+    const promises = [];
+    if (tileset.image) {
+        promises.push(loadImage(tileset.image, owner).then(img => tileset.image = img));
+    }
+    for (const tile of Object.values(tileset.tiles)) {
+        if (tile.image) {
+            promises.push(loadImage(tile.image, owner).then(img => tile.image = img));
+        }
+    }
+    await Promise.all(promises);
+}
+
+/**
+ * Loads a map's tilesets (external .tsx or embedded) all at once. External ones are cached and shared between
+ * maps, and own their images, so they're freed with the last map that uses them.
+ * @param {object} mapData The Tiled map JSON.
+ * @param {string} mapPath e.g. 'maps/house1.tmj'.
+ * @param {string} owner The map's name, see loadAsset.
+ * @returns {Promise<Array<{firstGid: number, tileset: object}>>} Sorted by firstGid.
+ */
+async function loadMapTilesets(mapData, mapPath, owner) {
+    const refs = await Promise.all(mapData.tilesets.map(async ts => {
+        if (!ts.source) {
+            const tileset = core.parseEmbeddedTileset(ts, mapPath);
+            await loadTilesetImages(tileset, owner);
+            return { firstGid: ts.firstgid, tileset };
+        }
+
+        const tsxPath = core.resolveRelativePath(mapPath, ts.source);
+        const tileset = await loadAsset(tsxPath, async () => {
+            const tileset = core.parseTsx(await fetchAsset(tsxPath, 'text'), tsxPath);
+            await loadTilesetImages(tileset, tsxPath);
+            return tileset;
+        }, owner);
+        return { firstGid: ts.firstgid, tileset };
+    }));
+
+    return refs.sort((a, b) => a.firstGid - b.firstGid);
+}
+
+/**
+ * Gets the source rectangle for a tile of a tileset, following its animation if it has one.
+ * @returns {{image: HTMLImageElement, rect: object}|null}
+ */
+function getTilesetTile(tileset, localId) {
+    const tile = tileset.tiles[localId];
+    if (tile && tile.animation) {
+        localId = getTimelineFrame(tile.animation.frames, tile.animation.totalDuration, loop.time).tileId;
+    }
+    return core.getTileFrame(tileset, localId);
+}
+
+/**
+ * Looks up what to draw for a GID on a map, including its flip flags.
+ * @param {object} map An entry of game.maps.
+ * @param {number} gid A GID, possibly with flip flags set.
+ * @returns {{image, rect, offset, flipH: boolean, flipV: boolean, flipD: boolean}|null}
+ */
+function resolveTile(map, gid) {
+    const ref = core.findTilesetRef(map, gid);
+    if (!ref) return null;
+
+    const tile = getTilesetTile(ref.tileset, (gid & core.GID_MASK) - ref.firstGid);
+    if (!tile) return null;
+    return { ...tile, offset: ref.tileset.tileOffset, ...core.getFlipFlags(gid) };
+}
+
+/**
+ * Draws a resolved tile into a box, applying its flip flags.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} tile From resolveTile.
+ * @param {number} x Top-left of the box.
+ * @param {number} y
+ * @param {number} width Size of the box. For diagonally flipped tiles the image is transposed into it.
+ * @param {number} height
+ */
+function drawResolvedTile(context, tile, x, y, width, height) {
+    const { image, rect, flipH, flipV, flipD } = tile;
+    if (!flipH && !flipV && !flipD) {
+        context.drawImage(image, rect.x, rect.y, rect.width, rect.height, x, y, width, height);
+        return;
+    }
+
+    // Tiled applies the diagonal flip (a transpose) first, then the horizontal and vertical flips
+    context.save();
+    context.translate(x + width / 2, y + height / 2);
+    if (flipV) context.scale(1, -1);
+    if (flipH) context.scale(-1, 1);
+    if (flipD) {
+        context.rotate(Math.PI / 2);
+        context.scale(1, -1);
+    }
+    const drawWidth = flipD ? height : width;
+    const drawHeight = flipD ? width : height;
+    context.drawImage(image, rect.x, rect.y, rect.width, rect.height, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    context.restore();
+}
+
+/**
+ * Where a layer's top-left corner is on screen, given the camera and the layer's offset and parallax.
+ */
+function getLayerOrigin(entry) {
+    return {
+        x: Math.round(entry.offsetX - camera.x * entry.parallaxX),
+        y: Math.round(entry.offsetY - camera.y * entry.parallaxY)
+    };
+}
+
+/**
+ * Draws the tiles of a tile layer that are within the camera's view.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} map An entry of game.maps.
+ * @param {object} entry A render list entry for a tilelayer.
+ */
+function drawTileLayer(context, map, entry) {
+    const { layer } = entry;
+    if (!Array.isArray(layer.data)) {
+        console.warn(`Tile layer "${layer.name}" must be saved in CSV format.`);
+        return;
+    }
+
+    const { tilewidth, tileheight } = map.mapData;
+    const origin = getLayerOrigin(entry);
+
+    // Tiles bigger than the grid hang up and to the right of their cell, so widen the range to catch those
+    const padX = Math.ceil(map.maxTileWidth / tilewidth);
+    const padY = Math.ceil(map.maxTileHeight / tileheight);
+    const startCol = Math.max(0, Math.floor(-origin.x / tilewidth) - padX);
+    const endCol = Math.min(layer.width - 1, Math.floor((camera.width - origin.x) / tilewidth));
+    const startRow = Math.max(0, Math.floor(-origin.y / tileheight));
+    const endRow = Math.min(layer.height - 1, Math.floor((camera.height - origin.y) / tileheight) + padY);
+
+    for (let row = startRow; row <= endRow; row++) {
+        for (let col = startCol; col <= endCol; col++) {
+            const gid = layer.data[row * layer.width + col];
+            if (!gid) continue;
+
+            const tile = resolveTile(map, gid);
+            if (!tile) continue;
+
+            // Tiles are anchored to the bottom-left of their cell
+            const x = origin.x + col * tilewidth + tile.offset.x;
+            const y = origin.y + (row + 1) * tileheight - tile.rect.height + tile.offset.y;
+            drawResolvedTile(context, tile, x, y, tile.rect.width, tile.rect.height);
+        }
+    }
+}
+
+/**
+ * Draws a tile object. Tiled object origins are bottom-left, and the tile is stretched to the object's size.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} map An entry of game.maps.
+ * @param {object} obj The Tiled object.
+ * @param {{x: number, y: number}} origin The layer's origin on screen.
+ */
+function drawTileObject(context, map, obj, origin) {
+    if (!obj.gid || obj.visible === false) return;
+
+    const tile = resolveTile(map, obj.gid);
+    if (!tile) return;
+
+    const width = obj.width || tile.rect.width;
+    const height = obj.height || tile.rect.height;
+    const x = Math.round(origin.x + obj.x + tile.offset.x);
+    const y = Math.round(origin.y + obj.y - height + tile.offset.y);
+
+    // Skip objects entirely outside the view
+    if (x >= camera.width || y >= camera.height || x + width <= 0 || y + height <= 0) return;
+
+    drawResolvedTile(context, tile, x, y, width, height);
+}
+
+const outlineCanvas = document.createElement('canvas'); // Scratch space for drawTileObjectOutline
+const outlineCtx = outlineCanvas.getContext('2d');
+
+/**
+ * Draws a 1px outline round the visible pixels of a tile object, placed as drawTileObject places it.
+ * Draw the object over it afterwards.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} map An entry of game.maps.
+ * @param {object} obj The Tiled object.
+ * @param {{x: number, y: number}} origin The layer's origin on screen.
+ * @param {string} color
+ */
+function drawTileObjectOutline(context, map, obj, origin, color) {
+    if (!obj.gid || obj.visible === false) return;
+
+    const tile = resolveTile(map, obj.gid);
+    if (!tile) return;
+
+    const width = Math.round(obj.width || tile.rect.width);
+    const height = Math.round(obj.height || tile.rect.height);
+    const x = Math.round(origin.x + obj.x + tile.offset.x);
+    const y = Math.round(origin.y + obj.y - height + tile.offset.y);
+
+    // The tile's shape in a flat colour, drawn a pixel out in each direction
+    outlineCanvas.width = width; // Also clears it
+    outlineCanvas.height = height;
+    drawResolvedTile(outlineCtx, tile, 0, 0, width, height);
+    outlineCtx.globalCompositeOperation = 'source-in';
+    outlineCtx.fillStyle = color;
+    outlineCtx.fillRect(0, 0, width, height);
+    outlineCtx.globalCompositeOperation = 'source-over';
+    for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+        context.drawImage(outlineCanvas, x + dx, y + dy);
+    }
+}
+
+/**
+ * Draws a layer from a map's render list, whatever its type. Objects on object layers are drawn in their stored order.
+ * @param {CanvasRenderingContext2D} context
+ * @param {object} map An entry of game.maps.
+ * @param {object} entry A render list entry.
+ */
+function drawLayer(context, map, entry) {
+    if (!entry.visible || entry.opacity <= 0) return;
+
+    context.globalAlpha = entry.opacity;
+    const origin = getLayerOrigin(entry);
+
+    if (entry.layer.type === 'tilelayer') {
+        drawTileLayer(context, map, entry);
+    } else if (entry.layer.type === 'imagelayer' && entry.image) {
+        context.drawImage(entry.image, origin.x, origin.y);
+    } else if (entry.layer.type === 'objectgroup') {
+        entry.layer.objects.forEach(obj => drawTileObject(context, map, obj, origin));
+    }
+
+    context.globalAlpha = 1;
+}
@@ -1,5 +1,5 @@
 <?xml version="1.0" encoding="UTF-8"?>
-<tileset version="1.10" tiledversion="1.11.2" name="HouseDecor" tilewidth="19" tileheight="26" tilecount="8" columns="0">
+<tileset version="1.10" tiledversion="1.11.2" name="HouseDecor" tilewidth="19" tileheight="26" tilecount="11" columns="0">
  <grid orientation="orthogonal" width="1" height="1"/>
  <tile id="6">
   <image source="HouseDecor/bed.png" width="11" height="26"/>
@@ -18,6 +18,10 @@
  </tile>
  <tile id="11">
   <image source="HouseDecor/tv.png" width="17" height="14"/>
+  <animation>
+   <frame tileid="14" duration="350"/>
+   <frame tileid="15" duration="350"/>
+  </animation>
  </tile>
  <tile id="12" x="0" y="0" width="11" height="4">
   <image source="HouseDecor/bed.png" width="11" height="26"/>
@@ -25,4 +29,13 @@
  <tile id="13" x="0" y="0" width="11" height="5">
   <image source="HouseDecor/bed.png" width="11" height="26"/>
  </tile>
+ <tile id="14">
+  <image source="HouseDecor/tv_on1.png" width="17" height="14"/>
+ </tile>
+ <tile id="15">
+  <image source="HouseDecor/tv_on2.png" width="17" height="14"/>
+ </tile>
+ <tile id="16">
+  <image source="HouseDecor/key.png" width="7" height="5"/>
+ </tile>
 </tileset>
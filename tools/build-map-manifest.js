@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/* Writes data/maps.json, the list of maps the game can load, so adding a room is just a matter of
+   saving a new map in Tiled and running this. Maps and .world files are found in the folders of the Tiled project.
+
+   Usage: node tools/build-map-manifest.js
+   The manifest is keyed by map name (the file name without .tmj):
+   {
+       "house1": { "path": "maps/house1.tmj", "displayName": "Home" },
+       "outdoors1": { "path": "maps/outdoors1.tmj", "displayName": "Outside",
+                      "world": { "name": "overworld", "x": 0, "y": 0, "width": 192, "height": 64 } }
+   }
+   `world` is where a map sits in a .world file, in pixels, for maps that join up at their edges (see core/world.mjs).
+   Everything else about a map (its music, spawn points...) is read from its Tiled properties when it's loaded. */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const TILED_PROJECT = 'Image Projects/interior_house1.tiled-project';
+const MANIFEST_PATH = 'data/maps.json';
+
+/**
+ * Finds every file with an extension under a folder.
+ * @param {string} folder Absolute path.
+ * @param {string} extension e.g. '.tmj'.
+ * @returns {string[]} Absolute paths.
+ */
+function findFiles(folder, extension) {
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(folder, entry.name);
+        if (entry.isDirectory()) return findFiles(entryPath, extension);
+        return entry.name.endsWith(extension) ? [entryPath] : [];
+    });
+}
+
+/**
+ * Reads where each map sits in the project's .world files.
+ * @param {string[]} worldFiles Absolute paths.
+ * @returns {Map<string, object>} { name, x, y } keyed by the map's absolute path.
+ */
+function readWorlds(worldFiles) {
+    const placements = new Map();
+    for (const worldFile of worldFiles) {
+        const world = JSON.parse(fs.readFileSync(worldFile, 'utf8'));
+        const worldName = path.basename(worldFile, '.world');
+        if (world.patterns && world.patterns.length) {
+            throw new Error(`${worldFile}: pattern-based worlds aren't supported, list the maps instead.`);
+        }
+
+        for (const entry of world.maps || []) {
+            const mapFile = path.resolve(path.dirname(worldFile), entry.fileName);
+            if (!fs.existsSync(mapFile)) throw new Error(`${worldFile}: map ${entry.fileName} not found.`);
+            if (placements.has(mapFile)) throw new Error(`${entry.fileName} is in more than one world.`);
+            placements.set(mapFile, { name: worldName, x: entry.x, y: entry.y });
+        }
+    }
+    return placements;
+}
+
+/**
+ * Builds the manifest from the maps in the Tiled project's folders.
+ * @returns {object} Map entries keyed by map name, sorted by name.
+ */
+function buildManifest() {
+    const projectPath = path.join(ROOT, TILED_PROJECT);
+    const project = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+    const folders = project.folders.map(folder => path.resolve(path.dirname(projectPath), folder));
+    const mapFiles = folders.flatMap(folder => findFiles(folder, '.tmj'));
+    const worlds = readWorlds(folders.flatMap(folder => findFiles(folder, '.world')));
+
+    const entries = mapFiles.map(mapFile => {
+        const mapName = path.basename(mapFile, '.tmj');
+        const mapData = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+        const props = Object.fromEntries((mapData.properties || []).map(p => [p.name, p.value]));
+        const entry = {
+            path: path.relative(ROOT, mapFile).split(path.sep).join('/'),
+            displayName: props.displayName || mapName
+        };
+        if (worlds.has(mapFile)) {
+            // The size comes from the map itself, in case the .world file is stale
+            entry.world = {
+                ...worlds.get(mapFile),
+                width: mapData.width * mapData.tilewidth,
+                height: mapData.height * mapData.tileheight
+            };
+        }
+        return [mapName, entry];
+    });
+
+    const duplicate = entries.find(([name], i) => entries.findIndex(([other]) => other === name) !== i);
+    if (duplicate) throw new Error(`Two maps are called "${duplicate[0]}", map names must be unique.`);
+
+    return Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+}
+
+const formatManifest = (manifest) => JSON.stringify(manifest, null, 4) + '\n';
+
+module.exports = { buildManifest, formatManifest, MANIFEST_PATH };
+
+if (require.main === module) {
+    const manifest = buildManifest();
+    fs.writeFileSync(path.join(ROOT, MANIFEST_PATH), formatManifest(manifest));
+    console.log(`Wrote ${Object.keys(manifest).length} maps to ${MANIFEST_PATH}.`);
+}
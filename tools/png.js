@@ -0,0 +1,67 @@
+/* Reads PNGs without anything beyond Node itself, for the tools and the headless game (see core/node.mjs). */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Decodes the PNGs the game uses as collision masks (8-bit, non-interlaced) into RGBA pixels.
+ * @param {string} pngPath Absolute path.
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+function decodePng(pngPath) {
+    const buffer = fs.readFileSync(pngPath);
+    let width = 0, height = 0, colorType = 0, transparency = null;
+    const compressed = [];
+
+    for (let pos = 8; pos < buffer.length;) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('ascii', pos + 4, pos + 8);
+        const data = buffer.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[12] !== 0) throw new Error('only 8-bit, non-interlaced PNGs are supported');
+            colorType = data[9];
+        } else if (type === 'tRNS') transparency = data;
+        else if (type === 'IDAT') compressed.push(data);
+    }
+
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(compressed));
+    const pixels = new Uint8Array(width * height * 4);
+    let previous = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = Uint8Array.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+        for (let i = 0; i < stride; i++) {
+            const left = i >= channels ? line[i - channels] : 0;
+            const up = previous[i];
+            const upLeft = i >= channels ? previous[i - channels] : 0;
+            if (filter === 1) line[i] += left;
+            else if (filter === 2) line[i] += up;
+            else if (filter === 3) line[i] += (left + up) >> 1;
+            else if (filter === 4) {
+                const estimate = left + up - upLeft;
+                const [a, b, c] = [left, up, upLeft].map(value => Math.abs(estimate - value));
+                line[i] += a <= b && a <= c ? left : b <= c ? up : upLeft;
+            }
+        }
+        previous = line;
+
+        // Only the alpha matters for a mask
+        for (let x = 0; x < width; x++) {
+            let alpha = 255;
+            if (colorType === 6) alpha = line[x * 4 + 3];
+            else if (colorType === 4) alpha = line[x * 2 + 1];
+            else if (colorType === 3 && transparency && line[x] < transparency.length) alpha = transparency[line[x]];
+            pixels[(y * width + x) * 4 + 3] = alpha;
+        }
+    }
+    return { width, height, data: pixels };
+}
+
+module.exports = { decodePng };
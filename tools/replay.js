@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/* Plays recorded replays back against the game's simulation and checks the player ends up where they did
+   when it was recorded, so changes to movement, collision or the maps that would move them get caught.
+   Record a replay in the game with the debug console's `record` and `record stop`, see debug.js, and put
+   the downloaded file in replays/. The format is described in core/replay.mjs.
+
+   Usage: node tools/replay.js [replay.json...]
+   Runs every replay in replays/ if none are given. Prints one line per replay and exits with 1 if any
+   ended up somewhere else, or if there were none to run, so it can run in CI (see .github/workflows).
+   Needs nothing beyond Node itself. */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const REPLAYS_FOLDER = 'replays';
+
+/**
+ * Finds the replays to run: the files given, or everything in replays/.
+ * @param {string[]} args Command line arguments.
+ * @returns {string[]} Absolute paths.
+ */
+function findReplays(args) {
+    if (args.length) return args.map(arg => path.resolve(arg));
+
+    const folder = path.join(ROOT, REPLAYS_FOLDER);
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(folder, file));
+}
+
+const formatPosition = (position) => `${position.location} ${position.x},${position.y}${position.facing ? ` ${position.facing}` : ''}`;
+
+async function main() {
+    // The simulation is shared with the browser as ES modules
+    const { loadGame } = await import('../core/node.mjs');
+    const { runReplay } = await import('../core/index.mjs');
+
+    const files = findReplays(process.argv.slice(2));
+    if (!files.length) {
+        // A run that checked nothing shouldn't pass, e.g. in CI if replays/ went missing
+        console.error(`No replays found in ${REPLAYS_FOLDER}/.`);
+        process.exit(1);
+    }
+
+    let failures = 0;
+    for (const file of files) {
+        const name = path.relative(process.cwd(), file).split(path.sep).join('/');
+        try {
+            // A fresh game each time, so replays can't affect each other
+            const result = runReplay(loadGame(), JSON.parse(fs.readFileSync(file, 'utf8')));
+            if (result.passed) {
+                console.log(`ok      ${name} (${result.ticks} ticks)`);
+                continue;
+            }
+            console.error(`FAILED  ${name}: expected ${formatPosition(result.expected)}, ended at ${formatPosition(result.actual)}`);
+        } catch (error) {
+            console.error(`FAILED  ${name}: ${error.message}`);
+        }
+        failures++;
+    }
+
+    if (failures) {
+        console.error(`\n${failures} of ${files.length} replay${files.length === 1 ? '' : 's'} failed.`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/* Checks every Tiled map in maps/ for problems the game would otherwise only find while playing:
+   missing tilesets and images, interactables with missing or mistyped properties, references to
+   maps, spawn points, dialogue, items or sequences that don't exist, destinations inside walls, audio emitters
+   without a sound, lights with unreadable properties, maps without music, dialogue with no pages, and a
+   data/maps.json that's out of date.
+
+   Usage: node tools/validate-maps.js
+   Prints one `file:object-id: problem` line per problem and exits with 1 if there were any, so it can
+   run as a pre-commit hook. Needs nothing beyond Node itself. */
+
+const fs = require('fs');
+const path = require('path');
+const { buildManifest, formatManifest, MANIFEST_PATH } = require('./build-map-manifest.js');
+const { decodePng } = require('./png.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Properties each interactable type needs, with the type of their value
+const INTERACTABLE_SCHEMAS = {
+    door: { destinationMap: 'string' }, // And either destinationSpawn or destinationX and destinationY
+    move: { destinationX: 'number', destinationY: 'number' },
+    moveRebound: { destinationX: 'number', destinationY: 'number', reboundTime: 'number' },
+    dialogue: { dialogueId: 'string' },
+    item: { itemId: 'string' },
+    script: { sequence: 'string' }
+};
+
+// Properties any interactable may have
+const OPTIONAL_PROPERTIES = {
+    once: 'boolean',
+    oneShot: 'boolean',
+    enabled: 'boolean',
+    priority: 'number',
+    prompt: 'string',
+    requiresItem: 'string',
+    consumeItem: 'boolean',
+    lockedDialogueId: 'string',
+    requiresFlag: 'string',
+    unlessFlag: 'string',
+    requiresTime: 'string',
+    count: 'number',
+    foregroundObject: 'number',
+    transition: 'string',
+    transitionDirection: 'string',
+    destinationSpawn: 'string',
+    destinationX: 'number',
+    destinationY: 'number'
+};
+
+const TRANSITIONS = ['fade', 'iris', 'slide', 'none'];
+const DIRECTIONS = ['left', 'right', 'up', 'down'];
+const TIME_PERIODS = ['dawn', 'day', 'dusk', 'night']; // See core/clock.mjs
+
+const problems = [];
+
+/**
+ * Records a problem.
+ * @param {string} file Path relative to the repo root.
+ * @param {number|string|null} id The object or layer the problem is on, if any.
+ * @param {string} message
+ */
+function report(file, id, message) {
+    problems.push(`${file}${id === null ? '' : `:${id}`}: ${message}`);
+}
+
+const toRepoPath = (absolute) => path.relative(ROOT, absolute).split(path.sep).join('/');
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+/**
+ * Helper to turn a Tiled object's properties array into a KV map, like getProperties in core/tiled.mjs.
+ */
+function getProperties(obj) {
+    return Object.fromEntries((obj.properties || []).map(p => [p.name, p.value]));
+}
+
+/**
+ * Reads the attributes of an XML tag into an object.
+ * @param {string} tag The tag's source, e.g. `<image source="a.png" width="8"/>`.
+ * @returns {object}
+ */
+function parseAttributes(tag) {
+    return Object.fromEntries([...tag.matchAll(/([\w-]+)="([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+/**
+ * Checks a .tsx tileset exists and that every image it uses does too.
+ * @param {string} tsxPath Absolute path.
+ * @param {string} mapFile The map that uses it, for reporting.
+ */
+function validateTsx(tsxPath, mapFile) {
+    const tsxFile = toRepoPath(tsxPath);
+    if (!fs.existsSync(tsxPath)) {
+        report(mapFile, null, `tileset ${tsxFile} not found`);
+        return;
+    }
+
+    const xml = fs.readFileSync(tsxPath, 'utf8');
+    for (const tag of xml.match(/<image\b[^>]*>/g) || []) {
+        const { source } = parseAttributes(tag);
+        if (!source) {
+            report(tsxFile, null, 'image without a source');
+        } else if (!fs.existsSync(path.resolve(path.dirname(tsxPath), source))) {
+            report(tsxFile, null, `image ${source} not found`);
+        }
+    }
+}
+
+/**
+ * Gets every layer of a map, including those inside groups.
+ * @param {Array<object>} layers
+ * @returns {Array<object>}
+ */
+function getAllLayers(layers) {
+    return layers.flatMap(layer => layer.type === 'group' ? [layer, ...getAllLayers(layer.layers || [])] : [layer]);
+}
+
+/**
+ * Gets a map's spawn points from its "Spawns" layer.
+ * @param {object} mapData The parsed .tmj.
+ * @returns {Array<object>} The point objects.
+ */
+function getSpawns(mapData) {
+    const layer = getAllLayers(mapData.layers || []).find(l => l.name === 'Spawns' && l.type === 'objectgroup');
+    return layer ? layer.objects : [];
+}
+
+/**
+ * Checks one interactable's properties against its type's schema and the game data they refer to.
+ * @param {object} obj The Tiled object.
+ * @param {string} mapFile For reporting.
+ * @param {object} context { maps, data, foregroundIds, checkDestination }
+ */
+function validateInteractable(obj, mapFile, context) {
+    const props = getProperties(obj);
+    const { maps, data, foregroundIds, checkDestination } = context;
+
+    const schema = INTERACTABLE_SCHEMAS[props.type];
+    if (!schema) {
+        report(mapFile, obj.id, props.type === undefined
+            ? 'interactable missing `type`'
+            : `unknown interactable type "${props.type}", expected one of ${Object.keys(INTERACTABLE_SCHEMAS).join(', ')}`);
+        return;
+    }
+
+    for (const [name, type] of Object.entries(schema)) {
+        if (props[name] === undefined) report(mapFile, obj.id, `${props.type} missing \`${name}\``);
+        else if (typeof props[name] !== type) report(mapFile, obj.id, `\`${name}\` must be a ${type}`);
+    }
+    for (const [name, type] of Object.entries(OPTIONAL_PROPERTIES)) {
+        if (props[name] !== undefined && typeof props[name] !== type) report(mapFile, obj.id, `\`${name}\` must be a ${type}`);
+    }
+
+    // References to other data
+    if (typeof props.destinationMap === 'string' && !maps[props.destinationMap]) {
+        report(mapFile, obj.id, `destination map "${props.destinationMap}" not found`);
+    }
+    for (const key of ['dialogueId', 'lockedDialogueId']) {
+        if (typeof props[key] === 'string' && !data.dialogue[props[key]]) report(mapFile, obj.id, `dialogue "${props[key]}" not found`);
+    }
+    for (const key of ['itemId', 'requiresItem']) {
+        if (typeof props[key] === 'string' && !data.items[props[key]]) report(mapFile, obj.id, `item "${props[key]}" not found`);
+    }
+    if (typeof props.sequence === 'string' && !data.scripts[props.sequence]) {
+        report(mapFile, obj.id, `sequence "${props.sequence}" not found`);
+    }
+    if (typeof props.count === 'number' && (!Number.isInteger(props.count) || props.count < 1)) {
+        report(mapFile, obj.id, '`count` must be a positive int');
+    }
+    if (typeof props.foregroundObject === 'number' && !foregroundIds.has(props.foregroundObject)) {
+        report(mapFile, obj.id, `foreground object ${props.foregroundObject} is not on the Foreground layer`);
+    }
+    if (typeof props.transition === 'string' && !TRANSITIONS.includes(props.transition)) {
+        report(mapFile, obj.id, `\`transition\` must be one of ${TRANSITIONS.join(', ')}`);
+    }
+    if (typeof props.transitionDirection === 'string' && !DIRECTIONS.includes(props.transitionDirection)) {
+        report(mapFile, obj.id, `\`transitionDirection\` must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (typeof props.requiresTime === 'string' && !TIME_PERIODS.includes(props.requiresTime)) {
+        report(mapFile, obj.id, `\`requiresTime\` must be one of ${TIME_PERIODS.join(', ')}`);
+    }
+
+    if (props.type === 'door' && props.destinationSpawn === undefined &&
+        (props.destinationX === undefined || props.destinationY === undefined)) {
+        report(mapFile, obj.id, 'door needs `destinationSpawn`, or `destinationX` and `destinationY`');
+    }
+
+    // Destinations must be clear of walls, except moveRebound's, which put the player on top of furniture
+    if (typeof props.destinationSpawn === 'string') {
+        const target = maps[props.destinationMap];
+        const spawn = target && getSpawns(target).find(spawn => spawn.name === props.destinationSpawn);
+        if (target && !spawn) report(mapFile, obj.id, `spawn point "${props.destinationSpawn}" not found on "${props.destinationMap}"`);
+        if (spawn) checkDestination(props.destinationMap, spawn.x, spawn.y, obj.id);
+    } else if (props.type !== 'moveRebound' && typeof props.destinationX === 'number' && typeof props.destinationY === 'number') {
+        checkDestination(props.destinationMap, props.destinationX, props.destinationY, obj.id);
+    }
+}
+
+/**
+ * Checks one map: its tilesets, images, layers and objects.
+ * @param {string} mapName
+ * @param {object} mapData The parsed .tmj.
+ * @param {object} maps Every map, keyed by name.
+ * @param {object} data { dialogue, items, scripts, music, isInsideWalls }
+ */
+function validateMap(mapName, mapData, maps, data) {
+    const mapFile = `maps/${mapName}.tmj`;
+    const mapDir = path.join(ROOT, 'maps');
+
+    const mapProps = getProperties(mapData);
+    if (typeof mapProps.music !== 'string' || !mapProps.music) report(mapFile, null, 'map has no `music` property');
+    else {
+        for (const trackId of mapProps.music.split(',').map(id => id.trim()).filter(Boolean)) {
+            if (!data.music[trackId]) report(mapFile, null, `music "${trackId}" not found in data/music.json`);
+        }
+    }
+    if (mapProps.lighting !== undefined && typeof mapProps.lighting !== 'boolean') report(mapFile, null, '`lighting` must be a boolean');
+
+    const spawns = getSpawns(mapData);
+    const spawnNames = new Set();
+    for (const spawn of spawns) {
+        if (!spawn.name) report(mapFile, spawn.id, 'spawn point has no name');
+        else if (spawnNames.has(spawn.name)) report(mapFile, spawn.id, `spawn point name "${spawn.name}" is used twice`);
+        spawnNames.add(spawn.name);
+    }
+    if (mapProps.spawn !== undefined && !spawnNames.has(mapProps.spawn)) {
+        report(mapFile, null, `default spawn point "${mapProps.spawn}" not found`);
+    }
+
+    for (const tileset of mapData.tilesets || []) {
+        if (tileset.source) {
+            validateTsx(path.resolve(mapDir, tileset.source), mapFile);
+            continue;
+        }
+        // Embedded tilesets, either a single image or one per tile
+        const images = [tileset.image, ...(tileset.tiles || []).map(tile => tile.image)].filter(Boolean);
+        for (const image of images) {
+            if (!fs.existsSync(path.resolve(mapDir, image))) report(mapFile, null, `tileset "${tileset.name}" image ${image} not found`);
+        }
+    }
+
+    const layers = getAllLayers(mapData.layers || []);
+    for (const layer of layers) {
+        if (layer.type === 'imagelayer' && layer.image && !fs.existsSync(path.resolve(mapDir, layer.image))) {
+            report(mapFile, `layer ${layer.id}`, `image ${layer.image} not found`);
+        }
+    }
+
+    const findLayer = (name, type) => layers.find(layer => layer.name === name && layer.type === type);
+    const interactables = findLayer('Interactables', 'objectgroup');
+    const triggers = findLayer('Triggers', 'objectgroup');
+    const entities = findLayer('Entities', 'objectgroup');
+    const audio = findLayer('Audio', 'objectgroup');
+    const lights = findLayer('Lights', 'objectgroup');
+    const foreground = findLayer('Foreground', 'objectgroup');
+    const foregroundIds = new Set(foreground ? foreground.objects.map(obj => obj.id) : []);
+
+    const collision = findLayer('Collision', 'tilelayer');
+    if (collision && !Array.isArray(collision.data)) report(mapFile, `layer ${collision.id}`, 'Collision layer must use CSV encoding');
+
+    const checkDestination = (destinationMap, x, y, id) => {
+        if (data.isInsideWalls(destinationMap || mapName, x, y)) {
+            report(mapFile, id, `destination (${x}, ${y}) on "${destinationMap || mapName}" is inside a wall`);
+        }
+    };
+
+    for (const obj of interactables ? interactables.objects : []) {
+        validateInteractable(obj, mapFile, { maps, data, foregroundIds, checkDestination });
+    }
+
+    for (const obj of triggers ? triggers.objects : []) {
+        const props = getProperties(obj);
+        const { sequence, requiresTime } = props;
+        if (sequence === undefined) report(mapFile, obj.id, 'trigger missing `sequence`');
+        else if (!data.scripts[sequence]) report(mapFile, obj.id, `sequence "${sequence}" not found`);
+        for (const name of ['once', 'oneShot', 'enabled']) {
+            if (props[name] !== undefined && typeof props[name] !== 'boolean') report(mapFile, obj.id, `\`${name}\` must be a boolean`);
+        }
+        if (requiresTime !== undefined && !TIME_PERIODS.includes(requiresTime)) {
+            report(mapFile, obj.id, `\`requiresTime\` must be one of ${TIME_PERIODS.join(', ')}`);
+        }
+    }
+
+    for (const obj of entities ? entities.objects : []) {
+        const { sprite, collision } = getProperties(obj);
+        if (!sprite) report(mapFile, obj.id, 'entity missing `sprite`');
+        else if (!fs.existsSync(path.join(ROOT, 'characters', `${sprite}.json`))) report(mapFile, obj.id, `sprite characters/${sprite}.json not found`);
+        if (collision && !fs.existsSync(path.join(ROOT, 'collision', `${collision}.png`))) {
+            report(mapFile, obj.id, `collision mask collision/${collision}.png not found`);
+        }
+    }
+
+    for (const obj of audio ? audio.objects : []) {
+        const props = getProperties(obj);
+        if (typeof props.sound !== 'string') report(mapFile, obj.id, 'audio emitter missing `sound`');
+        for (const name of ['radius', 'falloff', 'volume']) {
+            if (props[name] !== undefined && typeof props[name] !== 'number') report(mapFile, obj.id, `\`${name}\` must be a number`);
+        }
+    }
+
+    for (const obj of lights ? lights.objects : []) {
+        const props = getProperties(obj);
+        if (props.colour !== undefined && !/^#([0-9a-f]{2})?[0-9a-f]{6}$/i.test(props.colour)) {
+            report(mapFile, obj.id, '`colour` must be a colour, #rrggbb or #aarrggbb');
+        }
+        if (props.radius !== undefined && (typeof props.radius !== 'number' || props.radius <= 0)) report(mapFile, obj.id, '`radius` must be a positive number');
+        if (props.flicker !== undefined && (typeof props.flicker !== 'number' || props.flicker < 0 || props.flicker > 1)) {
+            report(mapFile, obj.id, '`flicker` must be a number from 0 to 1');
+        }
+    }
+}
+
+async function main() {
+    // The collision grid is built by the game's own code, shared as ES modules
+    const { loadMap } = await import('../core/node.mjs');
+    const { createGame, checkWallCollision, getCollisionSpans } = await import('../core/index.mjs');
+
+    const mapNames = fs.readdirSync(path.join(ROOT, 'maps'))
+        .filter(file => file.endsWith('.tmj'))
+        .map(file => file.replace('.tmj', ''))
+        .sort();
+
+    const maps = {};
+    for (const mapName of mapNames) {
+        try {
+            maps[mapName] = readJson(`maps/${mapName}.tmj`);
+        } catch (error) {
+            report(`maps/${mapName}.tmj`, null, `could not be read: ${error.message}`);
+        }
+    }
+
+    // Walls are the Collision layer and the collision shapes of the tiles on the map, as in the game
+    const game = createGame();
+    const tsxCache = new Map();
+    for (const mapName in maps) {
+        try {
+            game.maps[mapName] = loadMap(ROOT, mapName, maps[mapName], `maps/${mapName}.tmj`, tsxCache);
+        } catch (error) {
+            report(`maps/${mapName}.tmj`, null, `collision could not be built, destinations on it not checked: ${error.message}`);
+        }
+    }
+    let playerSpans = null;
+    try {
+        playerSpans = getCollisionSpans(decodePng(path.join(ROOT, 'collision/duck.png')));
+    } catch (error) {
+        report('collision/duck.png', null, `could not be read, destinations not checked: ${error.message}`);
+    }
+
+    const data = {
+        dialogue: readJson('data/dialogue.json'),
+        items: readJson('data/items.json'),
+        scripts: readJson('data/scripts.json'),
+        music: readJson('data/music.json'),
+        // Whether the player would be stuck at a point. Checked as if they were an NPC, so the edges of a
+        // map count as walls even where it joins another in a world
+        isInsideWalls: (mapName, x, y) => Boolean(game.maps[mapName] && playerSpans) &&
+            checkWallCollision(game, x, y, { location: mapName, collisionSpans: playerSpans })
+    };
+
+    for (const mapName in maps) {
+        validateMap(mapName, maps[mapName], maps, data);
+    }
+
+    for (const [dialogueId, pages] of Object.entries(data.dialogue)) {
+        if (!Array.isArray(pages) || !pages.length) report('data/dialogue.json', null, `dialogue "${dialogueId}" has no pages`);
+    }
+
+    // Tracks are bundled so the game has music offline. The fallback, usually a URL, is only for a broken copy
+    for (const [trackId, track] of Object.entries(data.music)) {
+        if (!track.src) report('data/music.json', null, `track "${trackId}" has no \`src\``);
+        else if (!fs.existsSync(path.join(ROOT, track.src))) report('data/music.json', null, `track "${trackId}": ${track.src} not found`);
+    }
+
+    try {
+        const manifestPath = path.join(ROOT, MANIFEST_PATH);
+        const current = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : null;
+        if (current !== formatManifest(buildManifest())) {
+            report(MANIFEST_PATH, null, 'out of date, run `node tools/build-map-manifest.js`');
+        }
+    } catch (error) {
+        report(MANIFEST_PATH, null, `could not be checked: ${error.message}`);
+    }
+
+    if (problems.length) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem${problems.length === 1 ? '' : 's'} found.`);
+        process.exit(1);
+    }
+    console.log(`All ${Object.keys(maps).length} maps OK.`);
+}
+
+main();
@@ -0,0 +1,181 @@
+const TRANSITION_DURATIONS = { fade: 600, iris: 800, slide: 500 }; // ms, out and back in together
+const TRANSITION_TYPES = ['fade', 'iris', 'slide'];
+
+/* A transition covers a map change. fade and iris close over the old scene, swap the map at the
+   midpoint while the screen is black, then open on the new one. slide swaps straight away and pushes
+   a snapshot of the old scene off screen as the new one comes in. The player can't move until it ends.
+
+   Music is handed to playPlaylist at the start with the fades lined up to the transition:
+   the old track fades out while the scene closes and the new one fades in as it opens. */
+
+const transition = {
+    type: null, // One of TRANSITION_TYPES while a transition runs
+    elapsed: 0,
+    duration: 0,
+    onSwap: null, // Changes the map, called once at the midpoint (or at the start for a slide)
+    direction: 'right', // Which way a slide moves the camera: 'left', 'right', 'up' or 'down'
+    snapshot: null // Canvas holding the last frame of the old scene, for slides
+};
+
+const isTransitionActive = () => transition.type !== null;
+
+/**
+ * Gets how long before a transition's map swap, in ms.
+ * @param {string} type One of TRANSITION_TYPES.
+ * @param {number} duration
+ * @returns {number}
+ */
+const getTransitionSwapTime = (type, duration) => type === 'slide' ? 0 : duration / 2;
+
+/**
+ * Starts a transition and the matching music change.
+ * @param {string} type One of TRANSITION_TYPES.
+ * @param {Function} onSwap Changes the map. Called once the old scene is hidden.
+ * @param {object} [options]
+ * @param {number} [options.duration] ms, defaults to TRANSITION_DURATIONS[type].
+ * @param {string} [options.direction='right'] For slides: 'left', 'right', 'up' or 'down'.
+ * @param {object|null} [options.music] The playlist to change to, if the music changes (null for silence).
+ */
+function startTransition(type, onSwap, { duration, direction = 'right', music: playlist } = {}) {
+    if (!TRANSITION_TYPES.includes(type)) {
+        console.warn(`Unknown transition "${type}", using fade.`);
+        type = 'fade';
+    }
+
+    transition.type = type;
+    transition.elapsed = 0;
+    transition.duration = duration ?? TRANSITION_DURATIONS[type];
+    transition.direction = direction;
+    transition.onSwap = onSwap;
+
+    const swapTime = getTransitionSwapTime(type, transition.duration);
+    if (playlist !== undefined) {
+        // A slide has nothing to hide behind, so the tracks share its length
+        const fadeOutTime = (type === 'slide' ? transition.duration / 2 : swapTime) / 1000;
+        const fadeInTime = (type === 'slide' ? transition.duration / 2 : transition.duration - swapTime) / 1000;
+        playPlaylist(playlist, { fadeOutTime, fadeInTime });
+    }
+
+    if (type === 'slide') {
+        // The last frame drawn is the old scene, keep it to slide away
+        transition.snapshot ||= document.createElement('canvas');
+        transition.snapshot.width = canvas.width;
+        transition.snapshot.height = canvas.height;
+        const snapshotCtx = transition.snapshot.getContext('2d');
+        snapshotCtx.clearRect(0, 0, canvas.width, canvas.height);
+        snapshotCtx.drawImage(canvas, 0, 0);
+    }
+    if (swapTime <= 0) swapTransitionScene();
+}
+
+function swapTransitionScene() {
+    const onSwap = transition.onSwap;
+    transition.onSwap = null;
+    if (onSwap) onSwap();
+}
+
+/**
+ * Advances the running transition by one tick.
+ * @param {number} dt The tick length in seconds.
+ */
+function updateTransition(dt) {
+    if (!isTransitionActive()) return;
+
+    transition.elapsed += dt * 1000;
+    if (transition.elapsed >= getTransitionSwapTime(transition.type, transition.duration)) swapTransitionScene();
+    if (transition.elapsed >= transition.duration) transition.type = null;
+}
+
+/**
+ * Abandons the running transition without swapping, e.g. when a save is loaded.
+ */
+function stopTransition() {
+    transition.type = null;
+    transition.onSwap = null;
+}
+
+/**
+ * Gets how far the transition has got this frame, interpolated between ticks.
+ * @returns {number} 0 to 1.
+ */
+function getTransitionProgress() {
+    if (transition.duration <= 0) return 1;
+    const elapsed = transition.elapsed + (loop.paused ? 0 : loop.alpha * TICK_DURATION);
+    return Math.min(1, elapsed / transition.duration);
+}
+
+/**
+ * Gets the unit vector a slide moves the camera in.
+ * @returns {{x: number, y: number}}
+ */
+function getSlideVector() {
+    const vectors = { left: { x: -1, y: 0 }, right: { x: 1, y: 0 }, up: { x: 0, y: -1 }, down: { x: 0, y: 1 } };
+    return vectors[transition.direction] || vectors.right;
+}
+
+/**
+ * Gets where to draw the scene this frame. A slide brings the new scene in from the side it's moving towards.
+ * @returns {{x: number, y: number}} Offset in pixels.
+ */
+function getTransitionSceneOffset() {
+    if (transition.type !== 'slide') return { x: 0, y: 0 };
+
+    const remaining = 1 - easeInOut(getTransitionProgress());
+    const vector = getSlideVector();
+    return {
+        x: Math.round(vector.x * canvas.width * remaining),
+        y: Math.round(vector.y * canvas.height * remaining)
+    };
+}
+
+/**
+ * Covers the screen in a circle of black around a point, leaving the inside clear.
+ * Drawn a row at a time so the edge stays crisp pixel art.
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} centreX
+ * @param {number} centreY
+ * @param {number} radius
+ */
+function drawIris(context, centreX, centreY, radius) {
+    context.fillStyle = '#000000';
+    for (let y = 0; y < canvas.height; y++) {
+        const dy = y + 0.5 - centreY;
+        if (Math.abs(dy) >= radius) {
+            context.fillRect(0, y, canvas.width, 1);
+            continue;
+        }
+        const halfWidth = Math.sqrt(radius * radius - dy * dy);
+        const left = Math.max(0, Math.round(centreX - halfWidth));
+        const right = Math.min(canvas.width, Math.round(centreX + halfWidth));
+        if (left > 0) context.fillRect(0, y, left, 1);
+        if (right < canvas.width) context.fillRect(right, y, canvas.width - right, 1);
+    }
+}
+
+/**
+ * Draws the running transition over the scene.
+ * @param {CanvasRenderingContext2D} context
+ */
+function drawTransition(context) {
+    if (!isTransitionActive()) return;
+
+    const progress = getTransitionProgress();
+    // How much of the screen is hidden: 1 at the midpoint, 0 at either end
+    let cover = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
+    // The swap happens on a tick, so a frame can land past the midpoint just before it
+    if (transition.onSwap && progress >= 0.5) cover = 1;
+
+    if (transition.type === 'fade') {
+        context.fillStyle = `rgba(0, 0, 0, ${cover})`;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    } else if (transition.type === 'iris') {
+        // Closes around where the player was and opens around where they are now
+        const centreX = lerp(player.prevX, player.x, loop.alpha) + player.width / 2 - camera.x;
+        const centreY = lerp(player.prevY, player.y, loop.alpha) + player.height / 2 - camera.y;
+        drawIris(context, centreX, centreY, Math.hypot(canvas.width, canvas.height) * (1 - cover));
+    } else if (transition.type === 'slide' && transition.snapshot) {
+        const offset = getTransitionSceneOffset();
+        const vector = getSlideVector();
+        context.drawImage(transition.snapshot, offset.x - vector.x * canvas.width, offset.y - vector.y * canvas.height);
+    }
+}
@@ -0,0 +1,49 @@
+const WORLD_PRELOAD_DISTANCE = 64; // Maps within this many pixels of the player's map are loaded ahead of time
+
+/* Maps in the same Tiled .world file join up at their edges, see core/world.mjs. Here the camera shows
+   neighbouring maps across the seam, and the music and preloading follow the player from one to the next. */
+
+/**
+ * Gets the area the camera can show around a map, relative to it: the whole of its world, or just the map.
+ * @param {object} map An entry of game.maps.
+ * @returns {{left: number, top: number, right: number, bottom: number}}
+ */
+function getCameraBounds(map) {
+    const { width, height } = core.getMapPixelSize(map);
+    const bounds = { left: 0, top: 0, right: width, bottom: height };
+    for (const other of core.getWorldNeighbours(game, map.name, Infinity)) {
+        const offset = core.getWorldOffset(game, map.name, other);
+        const otherRect = core.getWorldRect(game, other);
+        bounds.left = Math.min(bounds.left, offset.x);
+        bounds.top = Math.min(bounds.top, offset.y);
+        bounds.right = Math.max(bounds.right, offset.x + otherRect.width);
+        bounds.bottom = Math.max(bounds.bottom, offset.y + otherRect.height);
+    }
+    return bounds;
+}
+
+/**
+ * Gets the loaded maps next to the player's map, which are drawn and simulated alongside it.
+ * @returns {Array<{map: object, offset: {x: number, y: number}}>}
+ */
+function getLoadedWorldNeighbours() {
+    return core.getWorldNeighbours(game, player.location)
+        .filter(mapName => game.maps[mapName])
+        .map(mapName => ({ map: game.maps[mapName], offset: core.getWorldOffset(game, player.location, mapName) }));
+}
+
+/**
+ * Moves the player onto the next map once the middle of their feet crosses the edge of the one they're on,
+ * keeping them (and the camera) at the same spot on screen.
+ */
+function checkWorldEdges() {
+    const mapName = core.findWorldEdgeCrossing(game);
+    if (!mapName) return;
+
+    const offset = core.crossIntoMap(game, mapName);
+    shiftCamera(-offset.x, -offset.y, mapName);
+
+    const newMap = game.maps[mapName];
+    playPlaylist(newMap.music);
+    preloadNeighbouringMaps(newMap);
+}